@@ -8,18 +8,76 @@ CREATE DATABASE catalogo_db;
 \c pedidos_db;
 
 -- Tablas para servicio de Pedidos
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE usuarios (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    nombre VARCHAR(255),
+    role VARCHAR(20) NOT NULL DEFAULT 'cliente',
+    activo BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Usuarios de prueba (hash bcrypt generado con pgcrypto, compatible con bcryptjs)
+INSERT INTO usuarios (email, password_hash, nombre, role) VALUES
+('admin@tuso.com', crypt('admin123', gen_salt('bf', 12)), 'Administrador', 'admin'),
+('cliente@tuso.com', crypt('cliente123', gen_salt('bf', 12)), 'Cliente de Prueba', 'cliente');
+
+-- Refresh tokens (solo el hash SHA-256). familia agrupa las rotaciones de una misma sesión
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    familia UUID NOT NULL,
+    expira_en TIMESTAMP NOT NULL,
+    revocado_en TIMESTAMP,
+    reemplazado_por UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refresh_tokens_familia ON refresh_tokens(familia);
+CREATE INDEX idx_refresh_tokens_usuario ON refresh_tokens(usuario_id) WHERE revocado_en IS NULL;
+
+-- Claves RSA de firma de access tokens; una sola activa, las retiradas se publican
+-- en el JWKS hasta que expiran los tokens que firmaron
+CREATE TABLE jwt_claves (
+    kid VARCHAR(64) PRIMARY KEY,
+    private_key TEXT NOT NULL,
+    public_jwk JSONB NOT NULL,
+    activa BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retirada_en TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_jwt_claves_activa ON jwt_claves(activa) WHERE activa = true;
+
 CREATE TABLE pedidos (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     saga_id UUID NOT NULL UNIQUE,
-    usuario_id INTEGER NOT NULL,
-    producto_id INTEGER NOT NULL,
-    cantidad INTEGER NOT NULL,
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+    -- Cotizado con los precios del catálogo al crear el pedido
     monto_total DECIMAL(10,2),
+    -- Fecha del viaje, define la política de cancelación
+    fecha_viaje TIMESTAMP,
     estado VARCHAR(50) DEFAULT 'INICIADA',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Líneas del pedido con el precio cotizado en el catálogo
+CREATE TABLE pedido_lineas (
+    id SERIAL PRIMARY KEY,
+    pedido_id UUID NOT NULL REFERENCES pedidos(id),
+    producto_id INTEGER NOT NULL,
+    cantidad INTEGER NOT NULL CHECK (cantidad > 0),
+    precio_unitario DECIMAL(10,2) NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL,
+    UNIQUE (pedido_id, producto_id)
+);
+
 CREATE TABLE saga_estados (
     id SERIAL PRIMARY KEY,
     saga_id UUID NOT NULL,
@@ -30,9 +88,107 @@ CREATE TABLE saga_estados (
     error_message TEXT
 );
 
+-- Estado de orquestación de cada saga: pasos completados, paso en curso y su plazo
+CREATE TABLE sagas (
+    saga_id UUID PRIMARY KEY,
+    pedido_id UUID NOT NULL,
+    -- RESERVA (pedidos.saga_id) o CANCELACION de un pedido completado
+    tipo VARCHAR(20) NOT NULL DEFAULT 'RESERVA',
+    payload JSONB NOT NULL,
+    pasos_completados JSONB NOT NULL DEFAULT '[]',
+    paso_pendiente VARCHAR(50),
+    -- Envío del comando del paso pendiente (duración de los pasos en las métricas)
+    paso_iniciado_en TIMESTAMP,
+    intentos INTEGER DEFAULT 0,
+    deadline TIMESTAMP,
+    razon_compensacion VARCHAR(100),
+    requiere_intervencion BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Eventos de las sagas para los streams SSE (se repiten desde Last-Event-ID)
+CREATE TABLE saga_eventos (
+    id SERIAL PRIMARY KEY,
+    saga_id UUID NOT NULL,
+    pedido_id UUID NOT NULL,
+    usuario_id INTEGER,
+    -- PASO (fila de saga_estados) o PEDIDO (cambio de estado del pedido)
+    tipo VARCHAR(20) NOT NULL,
+    datos JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Claves Idempotency-Key de POST /pedidos con la respuesta original (vigentes 24 horas)
+CREATE TABLE claves_idempotencia (
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+    clave VARCHAR(255) NOT NULL,
+    -- SHA-256 del cuerpo de la solicitud
+    huella VARCHAR(64) NOT NULL,
+    respuesta JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (usuario_id, clave)
+);
+
 CREATE INDEX idx_pedidos_saga_id ON pedidos(saga_id);
+CREATE INDEX idx_saga_eventos_saga_id ON saga_eventos(saga_id, id);
+CREATE INDEX idx_saga_eventos_usuario_id ON saga_eventos(usuario_id, id);
+CREATE INDEX idx_saga_eventos_created_at ON saga_eventos(created_at);
+CREATE INDEX idx_claves_idempotencia_created_at ON claves_idempotencia(created_at);
+CREATE INDEX idx_pedidos_usuario_created ON pedidos(usuario_id, created_at DESC, id DESC);
+CREATE INDEX idx_sagas_deadline ON sagas(deadline) WHERE deadline IS NOT NULL;
+CREATE INDEX idx_sagas_pedido_id ON sagas(pedido_id);
 CREATE INDEX idx_saga_estados_saga_id ON saga_estados(saga_id);
 
+-- Outbox: mensajes pendientes de publicar en RabbitMQ
+CREATE TABLE outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    saga_id UUID NOT NULL,
+    evento VARCHAR(50) NOT NULL,
+    routing_key VARCHAR(100) NOT NULL,
+    mensaje JSONB NOT NULL,
+    -- Contexto de traza W3C de quien registró el mensaje (traceparent, baggage)
+    contexto_traza JSONB,
+    estado VARCHAR(20) DEFAULT 'PENDIENTE',
+    intentos INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    enviado_en TIMESTAMP
+);
+
+CREATE INDEX idx_outbox_pendientes ON outbox(created_at) WHERE estado = 'PENDIENTE';
+CREATE INDEX idx_outbox_enviados ON outbox(enviado_en) WHERE estado = 'ENVIADO';
+
+-- Inbox: mensajes ya procesados (deduplicación de entregas)
+CREATE TABLE mensajes_procesados (
+    message_id UUID PRIMARY KEY,
+    saga_id UUID,
+    evento VARCHAR(50),
+    procesado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_mensajes_procesados_procesado_en ON mensajes_procesados(procesado_en);
+
+-- Mensajes que agotaron sus reintentos (llegan desde la DLQ del servicio)
+CREATE TABLE mensajes_fallidos (
+    id SERIAL PRIMARY KEY,
+    -- messageId de AMQP: lo fija quien publica, no siempre es un UUID
+    message_id TEXT,
+    cola VARCHAR(100) NOT NULL,
+    routing_key VARCHAR(100),
+    saga_id UUID,
+    evento VARCHAR(50),
+    contenido TEXT NOT NULL,
+    headers JSONB,
+    error TEXT,
+    reintentos INTEGER DEFAULT 0,
+    estado VARCHAR(20) DEFAULT 'PENDIENTE',
+    motivo_descarte TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resuelto_en TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_mensajes_fallidos_pendientes ON mensajes_fallidos(message_id) WHERE estado = 'PENDIENTE';
+
 -- Conectar a inventario_db
 \c inventario_db;
 
@@ -43,13 +199,31 @@ CREATE TABLE productos (
     descripcion TEXT,
     stock_disponible INTEGER NOT NULL DEFAULT 0,
     precio DECIMAL(10,2) NOT NULL,
+    -- Se vende por fecha de salida: reserva cupos de salidas, no stock_disponible
+    con_salidas BOOLEAN NOT NULL DEFAULT false,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Salidas (fechas de viaje) de los productos con_salidas, con su cupo
+CREATE TABLE salidas (
+    id SERIAL PRIMARY KEY,
+    producto_id INTEGER NOT NULL REFERENCES productos(id),
+    fecha DATE NOT NULL,
+    capacidad INTEGER NOT NULL CHECK (capacidad >= 0),
+    cupos_disponibles INTEGER NOT NULL CHECK (cupos_disponibles >= 0 AND cupos_disponibles <= capacidad),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (producto_id, fecha)
+);
+
 CREATE TABLE reservas_temporales (
     id SERIAL PRIMARY KEY,
     saga_id UUID NOT NULL,
+    -- Usuario dueño del pedido (de pedidos_db), para la política de propietario
+    usuario_id INTEGER,
     producto_id INTEGER NOT NULL,
+    -- Salida de la que se tomaron los cupos (null si se reservó stock_disponible)
+    salida_id INTEGER REFERENCES salidas(id),
     cantidad_reservada INTEGER NOT NULL,
     expira_en TIMESTAMP NOT NULL,
     estado VARCHAR(20) DEFAULT 'ACTIVA',
@@ -58,15 +232,71 @@ CREATE TABLE reservas_temporales (
 );
 
 -- Datos de prueba para inventario
-INSERT INTO productos (nombre, descripcion, stock_disponible, precio) VALUES
-('Paquete Turístico Cartagena', 'Tour completo por Cartagena 3 días', 10, 450000.00),
-('Aventura en Cocora', 'Senderismo Valle del Cocora', 15, 180000.00),
-('City Tour Bogotá', 'Recorrido histórico por Bogotá', 20, 85000.00),
-('Playa y Sol San Andrés', 'Paquete 4 días en San Andrés', 8, 890000.00);
+INSERT INTO productos (nombre, descripcion, stock_disponible, precio, con_salidas) VALUES
+('Paquete Turístico Cartagena', 'Tour completo por Cartagena 3 días', 10, 450000.00, false),
+('Aventura en Cocora', 'Senderismo Valle del Cocora', 15, 180000.00, false),
+('City Tour Bogotá', 'Recorrido histórico por Bogotá', 20, 85000.00, false),
+('Playa y Sol San Andrés', 'Paquete 4 días en San Andrés', 0, 890000.00, true);
+
+-- Salidas semanales del paquete de San Andrés durante los próximos seis meses
+INSERT INTO salidas (producto_id, fecha, capacidad, cupos_disponibles)
+SELECT productos.id, salida::date, 8, 8
+FROM productos
+CROSS JOIN generate_series(CURRENT_DATE + 7, CURRENT_DATE + 182, INTERVAL '7 days') AS salida
+WHERE productos.nombre = 'Playa y Sol San Andrés';
 
 CREATE INDEX idx_reservas_temp_saga_id ON reservas_temporales(saga_id);
 CREATE INDEX idx_reservas_temp_expira ON reservas_temporales(expira_en);
 
+-- Outbox: mensajes pendientes de publicar en RabbitMQ
+CREATE TABLE outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    saga_id UUID NOT NULL,
+    evento VARCHAR(50) NOT NULL,
+    routing_key VARCHAR(100) NOT NULL,
+    mensaje JSONB NOT NULL,
+    -- Contexto de traza W3C de quien registró el mensaje (traceparent, baggage)
+    contexto_traza JSONB,
+    estado VARCHAR(20) DEFAULT 'PENDIENTE',
+    intentos INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    enviado_en TIMESTAMP
+);
+
+CREATE INDEX idx_outbox_pendientes ON outbox(created_at) WHERE estado = 'PENDIENTE';
+CREATE INDEX idx_outbox_enviados ON outbox(enviado_en) WHERE estado = 'ENVIADO';
+
+-- Inbox: mensajes ya procesados (deduplicación de entregas)
+CREATE TABLE mensajes_procesados (
+    message_id UUID PRIMARY KEY,
+    saga_id UUID,
+    evento VARCHAR(50),
+    procesado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_mensajes_procesados_procesado_en ON mensajes_procesados(procesado_en);
+
+-- Mensajes que agotaron sus reintentos (llegan desde la DLQ del servicio)
+CREATE TABLE mensajes_fallidos (
+    id SERIAL PRIMARY KEY,
+    -- messageId de AMQP: lo fija quien publica, no siempre es un UUID
+    message_id TEXT,
+    cola VARCHAR(100) NOT NULL,
+    routing_key VARCHAR(100),
+    saga_id UUID,
+    evento VARCHAR(50),
+    contenido TEXT NOT NULL,
+    headers JSONB,
+    error TEXT,
+    reintentos INTEGER DEFAULT 0,
+    estado VARCHAR(20) DEFAULT 'PENDIENTE',
+    motivo_descarte TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resuelto_en TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_mensajes_fallidos_pendientes ON mensajes_fallidos(message_id) WHERE estado = 'PENDIENTE';
+
 -- Conectar a pagos_db
 \c pagos_db;
 
@@ -75,10 +305,18 @@ CREATE TABLE transacciones (
     id SERIAL PRIMARY KEY,
     transaction_id UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
     saga_id UUID NOT NULL,
+    -- Usuario dueño del pedido (de pedidos_db), para la política de propietario
+    usuario_id INTEGER,
     monto DECIMAL(10,2) NOT NULL,
     metodo_pago VARCHAR(50) NOT NULL,
+    -- PROCESANDO mientras se espera la respuesta de la pasarela al cobro
     estado VARCHAR(20) DEFAULT 'PENDIENTE',
+    -- Id de la transacción en la pasarela de pago
     referencia_externa VARCHAR(255),
+    -- Motivo de rechazo informado por la pasarela
+    motivo VARCHAR(255),
+    -- Plazo para que la pasarela confirme un pago PENDIENTE (PSE, efectivo)
+    expira_en TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -97,6 +335,84 @@ INSERT INTO metodos_pago (tipo, activo) VALUES
 ('efectivo', true);
 
 CREATE INDEX idx_transacciones_saga_id ON transacciones(saga_id);
+CREATE INDEX idx_transacciones_referencia ON transacciones(referencia_externa);
+CREATE INDEX idx_transacciones_pendientes ON transacciones(expira_en) WHERE estado = 'PENDIENTE';
+
+-- Libro de reembolsos: la suma por transacción nunca supera su monto
+CREATE TABLE reembolsos (
+    id SERIAL PRIMARY KEY,
+    reembolso_id UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    transaction_id UUID NOT NULL REFERENCES transacciones(transaction_id),
+    monto DECIMAL(10,2) NOT NULL CHECK (monto > 0),
+    motivo VARCHAR(255) NOT NULL,
+    -- SOLICITUD (operador), COMPENSACION (saga), CANCELACION (saga de cancelación)
+    -- o PAGO_TARDIO (aprobado tras expirar)
+    origen VARCHAR(20) NOT NULL,
+    -- Saga de cancelación que lo originó: un reintento no reembolsa dos veces
+    saga_id UUID UNIQUE,
+    -- PENDIENTE hasta que la pasarela recibe el reembolso, después COMPLETADO
+    estado VARCHAR(20) NOT NULL DEFAULT 'PENDIENTE',
+    -- Envíos a la pasarela fallidos
+    intentos INTEGER NOT NULL DEFAULT 0,
+    -- Id del reembolso en la pasarela de pago
+    referencia_externa VARCHAR(255),
+    -- Operador que lo solicitó (de pedidos_db)
+    usuario_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completado_en TIMESTAMP
+);
+
+CREATE INDEX idx_reembolsos_transaction_id ON reembolsos(transaction_id);
+CREATE INDEX idx_reembolsos_pendientes ON reembolsos(created_at) WHERE estado = 'PENDIENTE';
+
+-- Outbox: mensajes pendientes de publicar en RabbitMQ
+CREATE TABLE outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    saga_id UUID NOT NULL,
+    evento VARCHAR(50) NOT NULL,
+    routing_key VARCHAR(100) NOT NULL,
+    mensaje JSONB NOT NULL,
+    -- Contexto de traza W3C de quien registró el mensaje (traceparent, baggage)
+    contexto_traza JSONB,
+    estado VARCHAR(20) DEFAULT 'PENDIENTE',
+    intentos INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    enviado_en TIMESTAMP
+);
+
+CREATE INDEX idx_outbox_pendientes ON outbox(created_at) WHERE estado = 'PENDIENTE';
+CREATE INDEX idx_outbox_enviados ON outbox(enviado_en) WHERE estado = 'ENVIADO';
+
+-- Inbox: mensajes ya procesados (deduplicación de entregas)
+CREATE TABLE mensajes_procesados (
+    message_id UUID PRIMARY KEY,
+    saga_id UUID,
+    evento VARCHAR(50),
+    procesado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_mensajes_procesados_procesado_en ON mensajes_procesados(procesado_en);
+
+-- Mensajes que agotaron sus reintentos (llegan desde la DLQ del servicio)
+CREATE TABLE mensajes_fallidos (
+    id SERIAL PRIMARY KEY,
+    -- messageId de AMQP: lo fija quien publica, no siempre es un UUID
+    message_id TEXT,
+    cola VARCHAR(100) NOT NULL,
+    routing_key VARCHAR(100),
+    saga_id UUID,
+    evento VARCHAR(50),
+    contenido TEXT NOT NULL,
+    headers JSONB,
+    error TEXT,
+    reintentos INTEGER DEFAULT 0,
+    estado VARCHAR(20) DEFAULT 'PENDIENTE',
+    motivo_descarte TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resuelto_en TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_mensajes_fallidos_pendientes ON mensajes_fallidos(message_id) WHERE estado = 'PENDIENTE';
 
 -- Conectar a catalogo_db  
 \c catalogo_db;
@@ -0,0 +1,24 @@
+# scripts/simular-webhook.sh
+#!/bin/bash
+# Simula la notificación de la pasarela para un pago pendiente (PSE o efectivo).
+# Uso: ./scripts/simular-webhook.sh REFERENCIA [APROBADA|RECHAZADA]
+# La referencia es referencia_externa de GET /transacciones/:sagaId en pagos.
+
+REFERENCIA=$1
+ESTADO=${2:-APROBADA}
+WEBHOOK_SECRET=${WEBHOOK_SECRET:-secreto-webhook-pasarela-2024}
+
+if [ -z "$REFERENCIA" ]; then
+  echo "Uso: $0 REFERENCIA [APROBADA|RECHAZADA]"
+  exit 1
+fi
+
+BODY="{\"referencia\":\"$REFERENCIA\",\"estado\":\"$ESTADO\"}"
+TIMESTAMP=$(date +%s)
+FIRMA=$(printf '%s' "$TIMESTAMP.$BODY" | openssl dgst -sha256 -hmac "$WEBHOOK_SECRET" | sed 's/^.* //')
+
+curl -s -X POST http://localhost:3003/webhooks/pasarela \
+  -H "Content-Type: application/json" \
+  -H "X-Firma: $FIRMA" \
+  -H "X-Firma-Timestamp: $TIMESTAMP" \
+  -d "$BODY" | jq '.'
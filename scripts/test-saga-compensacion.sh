@@ -3,6 +3,23 @@
 
 echo "=== PRUEBA DE SAGA CON COMPENSACIÓN ==="
 
+# Sigue los eventos de la saga (SSE) hasta que el pedido llega a un estado final
+seguir_saga() {
+  timeout 30 curl -sN "http://localhost:3001/sagas/$1/eventos" \
+    -H "Authorization: Bearer $TOKEN" | \
+    while read -r LINEA; do
+      case "$LINEA" in
+        data:*)
+          EVENTO="${LINEA#data: }"
+          echo "$EVENTO" | jq -c '{tipo, paso, estado, error}'
+          case "$(echo "$EVENTO" | jq -r 'select(.tipo == "PEDIDO") | .estado')" in
+            COMPLETADA|CANCELADA|COMPENSACION_FALLIDA) break ;;
+          esac
+          ;;
+      esac
+    done
+}
+
 TOKEN=$(curl -s -X POST http://localhost:3001/auth/login \
   -H "Content-Type: application/json" \
   -d '{"email":"admin@tuso.com","password":"admin123"}' | \
@@ -18,8 +35,24 @@ echo "Respuesta: $SAGA_RESPONSE"
 
 SAGA_ID=$(echo $SAGA_RESPONSE | jq -r '.sagaId')
 
-sleep 5
+seguir_saga "$SAGA_ID"
 
 echo "Estado final (debería mostrar compensación):"
+curl -s -X GET "http://localhost:3001/sagas/$SAGA_ID" \
+  -H "Authorization: Bearer $TOKEN" | jq '.'
+
+echo "Creando pedido con tarjeta declinada (el inventario reservado se libera)..."
+SAGA_RESPONSE=$(curl -s -X POST http://localhost:3001/pedidos \
+  -H "Authorization: Bearer $TOKEN" \
+  -H "Content-Type: application/json" \
+  -d '{"productoId":1,"cantidad":1,"metodoPago":"tarjeta_credito","datosPago":{"numeroTarjeta":"4000000000000002"}}')
+
+echo "Respuesta: $SAGA_RESPONSE"
+
+SAGA_ID=$(echo $SAGA_RESPONSE | jq -r '.sagaId')
+
+seguir_saga "$SAGA_ID"
+
+echo "Estado final (pago rechazado y LIBERAR_INVENTARIO confirmado):"
 curl -s -X GET "http://localhost:3001/sagas/$SAGA_ID" \
   -H "Authorization: Bearer $TOKEN" | jq '.'
\ No newline at end of file
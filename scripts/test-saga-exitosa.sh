@@ -3,6 +3,23 @@
 
 echo "=== PRUEBA DE SAGA EXITOSA ==="
 
+# Sigue los eventos de la saga (SSE) hasta que el pedido llega a un estado final
+seguir_saga() {
+  timeout 30 curl -sN "http://localhost:3001/sagas/$1/eventos" \
+    -H "Authorization: Bearer $TOKEN" | \
+    while read -r LINEA; do
+      case "$LINEA" in
+        data:*)
+          EVENTO="${LINEA#data: }"
+          echo "$EVENTO" | jq -c '{tipo, paso, estado, error}'
+          case "$(echo "$EVENTO" | jq -r 'select(.tipo == "PEDIDO") | .estado')" in
+            COMPLETADA|CANCELADA|COMPENSACION_FALLIDA) break ;;
+          esac
+          ;;
+      esac
+    done
+}
+
 # Login
 echo "1. Realizando login..."
 TOKEN=$(curl -s -X POST http://localhost:3001/auth/login \
@@ -25,7 +42,7 @@ echo "3. Creando pedido..."
 SAGA_RESPONSE=$(curl -s -X POST http://localhost:3001/pedidos \
   -H "Authorization: Bearer $TOKEN" \
   -H "Content-Type: application/json" \
-  -d '{"productoId":1,"cantidad":2,"metodoPago":"tarjeta_credito"}')
+  -d '{"productoId":1,"cantidad":2,"metodoPago":"tarjeta_credito","datosPago":{"numeroTarjeta":"4111111111111111"}}')
 
 echo "Respuesta: $SAGA_RESPONSE"
 
@@ -38,9 +55,9 @@ fi
 
 echo "✅ Pedido creado con sagaId: $SAGA_ID"
 
-# Esperar procesamiento
-echo "4. Esperando procesamiento de la saga..."
-sleep 5
+# Seguir la saga en tiempo real
+echo "4. Siguiendo la saga..."
+seguir_saga "$SAGA_ID"
 
 # Consultar estado final
 echo "5. Consultando estado final..."
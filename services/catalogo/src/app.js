@@ -1,14 +1,28 @@
 // services/catalogo/src/app.js
+// Trazas: antes que cualquier otro módulo, para instrumentar express, http y pg
+const { cerrarTrazas } = require('./instrumentacion');
 const express = require('express');
 const { Pool } = require('pg');
 const winston = require('winston');
+const { authenticateToken, requireAdmin } = require('./utils/auth');
+const { CodigoError, enviarError, rutaNoEncontrada } = require('./utils/errores');
+const { medirHttp, medirPool, exponerMetricas } = require('./utils/metricas');
+const { asignarIdSolicitud, formatoTrazas } = require('./utils/trazas');
+const { crearSondas } = require('./utils/salud');
+const { cerrarServidor, instalarApagado } = require('./utils/apagado');
+const { validarQuery, validarParams } = require('./utils/validacion');
 
 const app = express();
+// Id de solicitud (X-Request-Id) y métricas: latencia y errores de todas las rutas,
+// también las de JSON mal formado
+app.use(asignarIdSolicitud);
+app.use(medirHttp);
 app.use(express.json());
 
 const logger = winston.createLogger({
   level: 'info',
-  format: winston.format.json(),
+  // traceId, spanId y requestId del contexto activo en cada línea
+  format: winston.format.combine(formatoTrazas(), winston.format.json()),
   transports: [
     new winston.transports.Console(),
     new winston.transports.File({ filename: 'catalogo.log' })
@@ -23,6 +37,41 @@ const pool = new Pool({
   port: 5432
 });
 
+// Un cliente inactivo que pierde la conexión emite error en el pool; sin este handler
+// el proceso terminaría. Las siguientes consultas abren conexiones nuevas.
+pool.on('error', (error) => {
+  logger.error('Conexión inactiva de PostgreSQL perdida', { error: error.message });
+});
+
+// Conexiones del pool en las métricas
+medirPool(pool);
+
+// Readiness: conexión a la base de datos
+const sondas = crearSondas({
+  servicio: 'catalogo',
+  logger,
+  verificaciones: {
+    postgres: async () => {
+      await pool.query('SELECT 1');
+    }
+  },
+  info: () => ({
+    cache: {
+      activo: productosCache !== null,
+      productos: productosCache?.length || 0
+    }
+  })
+});
+
+// Sin base de datos las rutas responden 503 (salvo las sondas y las métricas)
+app.use(sondas.exigirPreparado);
+
+const ESQUEMA_ID_PRODUCTO = { id: { tipo: 'entero', requerido: true, minimo: 1 } };
+const ESQUEMA_ID_CATEGORIA = { categoriaId: { tipo: 'entero', requerido: true, minimo: 1 } };
+const ESQUEMA_BUSQUEDA = {
+  q: { tipo: 'texto', requerido: true, recortar: true, minimo: 2, maximo: 100 }
+};
+
 // Cache simple en memoria
 let productosCache = null;
 let cacheExpiry = null;
@@ -60,12 +109,12 @@ app.get('/productos', async (req, res) => {
     
   } catch (error) {
     logger.error('Error consultando productos', error);
-    res.status(500).json({ error: 'Error consultando productos' });
+    enviarError(res, CodigoError.ERROR_INTERNO, 'Error consultando productos');
   }
 });
 
 // Obtener producto específico
-app.get('/productos/:id', async (req, res) => {
+app.get('/productos/:id', validarParams(ESQUEMA_ID_PRODUCTO), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -88,7 +137,7 @@ app.get('/productos/:id', async (req, res) => {
     `, [id]);
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Producto no encontrado' });
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Producto no encontrado');
     }
     
     logger.info('Producto consultado', { id, nombre: result.rows[0].nombre });
@@ -96,7 +145,7 @@ app.get('/productos/:id', async (req, res) => {
     
   } catch (error) {
     logger.error('Error consultando producto', error);
-    res.status(500).json({ error: 'Error consultando producto' });
+    enviarError(res, CodigoError.ERROR_INTERNO, 'Error consultando producto');
   }
 });
 
@@ -108,12 +157,12 @@ app.get('/categorias', async (req, res) => {
     
   } catch (error) {
     logger.error('Error consultando categorías', error);
-    res.status(500).json({ error: 'Error consultando categorías' });
+    enviarError(res, CodigoError.ERROR_INTERNO, 'Error consultando categorías');
   }
 });
 
 // Filtrar productos por categoría
-app.get('/productos/categoria/:categoriaId', async (req, res) => {
+app.get('/productos/categoria/:categoriaId', validarParams(ESQUEMA_ID_CATEGORIA), async (req, res) => {
   try {
     const { categoriaId } = req.params;
     
@@ -136,19 +185,15 @@ app.get('/productos/categoria/:categoriaId', async (req, res) => {
     
   } catch (error) {
     logger.error('Error filtrando productos', error);
-    res.status(500).json({ error: 'Error filtrando productos' });
+    enviarError(res, CodigoError.ERROR_INTERNO, 'Error filtrando productos');
   }
 });
 
 // Búsqueda de productos
-app.get('/search', async (req, res) => {
+app.get('/search', validarQuery(ESQUEMA_BUSQUEDA), async (req, res) => {
   try {
     const { q } = req.query;
     
-    if (!q || q.trim().length < 2) {
-      return res.status(400).json({ error: 'Término de búsqueda debe tener al menos 2 caracteres' });
-    }
-    
     const searchTerm = `%${q.toLowerCase()}%`;
     
     const result = await pool.query(`
@@ -177,12 +222,12 @@ app.get('/search', async (req, res) => {
     
   } catch (error) {
     logger.error('Error en búsqueda', error);
-    res.status(500).json({ error: 'Error en búsqueda' });
+    enviarError(res, CodigoError.ERROR_INTERNO, 'Error en búsqueda');
   }
 });
 
-// Estadísticas básicas
-app.get('/stats', async (req, res) => {
+// Estadísticas básicas (solo admin); la consulta del catálogo es pública
+app.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const [productosResult, categoriasResult] = await Promise.all([
       pool.query('SELECT COUNT(*) as total, COUNT(CASE WHEN activo = true THEN 1 END) as activos FROM destinos'),
@@ -207,47 +252,38 @@ app.get('/stats', async (req, res) => {
     
   } catch (error) {
     logger.error('Error consultando estadísticas', error);
-    res.status(500).json({ error: 'Error consultando estadísticas' });
+    enviarError(res, CodigoError.ERROR_INTERNO, 'Error consultando estadísticas');
   }
 });
 
-// Limpiar cache manualmente
-app.post('/cache/clear', (req, res) => {
+// Limpiar cache manualmente (solo admin)
+app.post('/cache/clear', authenticateToken, requireAdmin, (req, res) => {
   productosCache = null;
   cacheExpiry = null;
-  logger.info('Cache limpiado manualmente');
+  logger.info('Cache limpiado manualmente', { adminId: req.user.userId });
   res.json({ message: 'Cache limpiado' });
 });
 
-// Health check
-app.get('/health', async (req, res) => {
-  try {
-    // Verificar conexión a base de datos
-    await pool.query('SELECT 1');
-    
-    res.json({ 
-      status: 'OK', 
-      service: 'catalogo', 
-      timestamp: new Date().toISOString(),
-      cache: {
-        activo: productosCache !== null,
-        productos: productosCache?.length || 0
-      }
-    });
-  } catch (error) {
-    logger.error('Health check fallido', error);
-    res.status(500).json({ 
-      status: 'ERROR', 
-      service: 'catalogo', 
-      error: error.message 
-    });
-  }
-});
+// Sondas de salud: liveness y readiness (/health es la readiness)
+app.get('/health/live', sondas.vivo);
+app.get('/health/ready', sondas.preparado);
+app.get('/health', sondas.preparado);
+
+// Métricas para Prometheus
+app.get('/metrics', exponerMetricas);
+
+// Errores en el formato común: rutas inexistentes, JSON mal formado y no capturados
+app.use(rutaNoEncontrada);
 
-// Middleware de manejo de errores
 app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  
+  if (error.type === 'entity.parse.failed') {
+    return enviarError(res, CodigoError.JSON_INVALIDO);
+  }
+  
   logger.error('Error no manejado', error);
-  res.status(500).json({ error: 'Error interno del servidor' });
+  enviarError(res, CodigoError.ERROR_INTERNO, 'Error interno del servidor');
 });
 
 // Limpiar cache automáticamente cada 5 minutos
@@ -258,6 +294,17 @@ setInterval(() => {
 }, 5 * 60 * 1000);
 
 const PORT = process.env.PORT || 3004;
-app.listen(PORT, () => {
-  logger.info(`Servicio de Catálogo ejecutándose en puerto ${PORT}`);
+// Primera verificación de la base de datos antes de aceptar solicitudes
+sondas.iniciar().then(() => {
+  const server = app.listen(PORT, () => {
+    logger.info(`Servicio de Catálogo ejecutándose en puerto ${PORT}`);
+  });
+  
+  // SIGTERM: rechazar solicitudes nuevas, esperar las que están en curso y cerrar el pool
+  instalarApagado(logger, [
+    ['readiness', () => sondas.detener()],
+    ['http', () => cerrarServidor(server)],
+    ['postgres', () => pool.end()],
+    ['trazas', cerrarTrazas]
+  ]);
 });
\ No newline at end of file
@@ -0,0 +1,77 @@
+// services/catalogo/src/utils/metricas.js
+// Métricas Prometheus del servicio, expuestas en GET /metrics: latencia y errores HTTP
+// por ruta, conexiones del pool de PostgreSQL y las métricas de proceso de Node.
+const client = require('prom-client');
+const { CodigoError, enviarError } = require('./errores');
+
+const registro = new client.Registry();
+registro.setDefaultLabels({ servicio: 'catalogo' });
+client.collectDefaultMetrics({ register: registro });
+
+const duracionHttp = new client.Histogram({
+  name: 'http_duracion_solicitudes_segundos',
+  help: 'Duración de las solicitudes HTTP',
+  labelNames: ['metodo', 'ruta', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registro]
+});
+
+const erroresHttp = new client.Counter({
+  name: 'http_errores_total',
+  help: 'Respuestas HTTP con status 4xx o 5xx',
+  labelNames: ['metodo', 'ruta', 'status'],
+  registers: [registro]
+});
+
+// Middleware: registra la duración de cada respuesta y, si es un error, el error. La
+// ruta es el patrón de Express (/pedidos/:id) para no crear una serie por id; las
+// rutas inexistentes van juntas. Los streams SSE (res.locals.stream) no se miden: su
+// duración es la de la conexión.
+function medirHttp(req, res, next) {
+  const terminar = duracionHttp.startTimer();
+  
+  res.on('finish', () => {
+    if (res.locals.stream) return;
+    
+    const etiquetas = {
+      metodo: req.method,
+      ruta: req.route ? `${req.baseUrl}${req.route.path}` : 'no_encontrada',
+      status: res.statusCode
+    };
+    terminar(etiquetas);
+    if (res.statusCode >= 400) erroresHttp.inc(etiquetas);
+  });
+  next();
+}
+
+// Conexiones del pool de PostgreSQL, leídas en cada scrape. en_espera son las
+// consultas esperando una conexión libre.
+function medirPool(pool) {
+  new client.Gauge({
+    name: 'pg_pool_conexiones',
+    help: 'Conexiones del pool de PostgreSQL por estado (total, inactivas, en_espera)',
+    labelNames: ['estado'],
+    registers: [registro],
+    collect() {
+      this.set({ estado: 'total' }, pool.totalCount);
+      this.set({ estado: 'inactivas' }, pool.idleCount);
+      this.set({ estado: 'en_espera' }, pool.waitingCount);
+    }
+  });
+}
+
+// GET /metrics en el formato de texto de Prometheus
+async function exponerMetricas(req, res) {
+  try {
+    res.set('Content-Type', registro.contentType);
+    res.end(await registro.metrics());
+  } catch (error) {
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+}
+
+module.exports = {
+  medirHttp,
+  medirPool,
+  exponerMetricas
+};
@@ -0,0 +1,114 @@
+// services/catalogo/src/utils/salud.js
+// Sondas de salud del servicio:
+// - liveness (GET /health/live): el proceso atiende HTTP. No mira las dependencias,
+//   así una caída de la base no hace reiniciar el servicio.
+// - readiness (GET /health/ready y /health): verifica cada dependencia con un plazo y
+//   responde 503 si alguna falla, con el estado y la latencia de cada una.
+// La verificación también corre cada HEALTH_INTERVAL_MS: mientras el servicio no está
+// listo, las demás rutas responden 503 SERVICIO_NO_DISPONIBLE en lugar de fallar a
+// mitad de la operación. Durante el apagado (detener) el servicio queda no listo.
+const { CodigoError, enviarError } = require('./errores');
+
+const PLAZO_VERIFICACION_MS = parseInt(process.env.HEALTH_TIMEOUT_MS) || 2000;
+const INTERVALO_VERIFICACION_MS = parseInt(process.env.HEALTH_INTERVAL_MS) || 10000;
+
+// Se atienden aunque el servicio no esté listo
+const RUTAS_SONDAS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+function conPlazo(promesa, ms) {
+  let temporizador;
+  const plazo = new Promise((resolve, reject) => {
+    temporizador = setTimeout(() => reject(new Error(`Sin respuesta en ${ms} ms`)), ms);
+  });
+  return Promise.race([promesa, plazo]).finally(() => clearTimeout(temporizador));
+}
+
+// { status, latenciaMs } más el detalle que retorne la verificación o el error
+async function verificar(verificacion) {
+  const inicio = Date.now();
+  try {
+    const detalle = await conPlazo(Promise.resolve().then(verificacion), PLAZO_VERIFICACION_MS);
+    return { status: 'OK', latenciaMs: Date.now() - inicio, ...detalle };
+  } catch (error) {
+    return { status: 'ERROR', latenciaMs: Date.now() - inicio, error: error.message };
+  }
+}
+
+// verificaciones: { nombre: async () => detalle } por dependencia; lanza si la
+// dependencia no está disponible. info agrega datos propios del servicio a readiness.
+function crearSondas({ servicio, verificaciones, logger, info = () => ({}) }) {
+  // Hasta la primera verificación exitosa el servicio no está listo
+  let listo = false;
+  let apagando = false;
+  let temporizador;
+  
+  async function evaluar() {
+    const nombres = Object.keys(verificaciones);
+    const resultados = await Promise.all(nombres.map((nombre) => verificar(verificaciones[nombre])));
+    const dependencias = Object.fromEntries(nombres.map((nombre, i) => [nombre, resultados[i]]));
+    
+    if (!apagando) {
+      const estabaListo = listo;
+      listo = resultados.every((resultado) => resultado.status === 'OK');
+      if (listo && !estabaListo) {
+        logger.info('Servicio listo', { dependencias });
+      } else if (!listo && estabaListo) {
+        logger.error('Servicio no listo: dependencia no disponible', { dependencias });
+      }
+    }
+    
+    return {
+      status: listo ? 'OK' : 'ERROR',
+      service: servicio,
+      timestamp: new Date().toISOString(),
+      ...(apagando && { apagando }),
+      dependencias,
+      ...info()
+    };
+  }
+  
+  function vivo(req, res) {
+    res.json({
+      status: 'OK',
+      service: servicio,
+      timestamp: new Date().toISOString(),
+      uptimeSegundos: Math.round(process.uptime())
+    });
+  }
+  
+  async function preparado(req, res) {
+    const estado = await evaluar();
+    res.status(listo ? 200 : 503).json(estado);
+  }
+  
+  // Middleware: rechaza las solicitudes mientras el servicio no está listo
+  function exigirPreparado(req, res, next) {
+    if (listo || RUTAS_SONDAS.includes(req.path)) return next();
+    
+    res.set('Retry-After', String(Math.ceil(INTERVALO_VERIFICACION_MS / 1000)));
+    enviarError(res, CodigoError.SERVICIO_NO_DISPONIBLE);
+  }
+  
+  // Primera verificación y verificación periódica
+  async function iniciar() {
+    const estado = await evaluar();
+    if (!listo) {
+      logger.warn('Servicio iniciado sin todas sus dependencias', { dependencias: estado.dependencias });
+    }
+    temporizador = setInterval(() => {
+      evaluar().catch((error) => logger.error('Error verificando dependencias', error));
+    }, INTERVALO_VERIFICACION_MS);
+  }
+  
+  // Apagado: la readiness responde 503 y las solicitudes nuevas se rechazan mientras
+  // terminan las que están en curso
+  function detener() {
+    apagando = true;
+    listo = false;
+    clearInterval(temporizador);
+  }
+  
+  return { vivo, preparado, exigirPreparado, iniciar, detener };
+}
+
+module.exports = { crearSondas };
@@ -0,0 +1,48 @@
+// services/catalogo/src/utils/trazas.js
+// Contexto de traza y id de solicitud. El id de solicitud (cabecera X-Request-Id) viaja
+// como entrada request.id del baggage W3C junto con el traceparent: lo reciben los
+// servicios llamados por HTTP. Cada línea de log lleva traceId, spanId y requestId del
+// contexto activo.
+const crypto = require('crypto');
+const winston = require('winston');
+const { context, propagation, trace } = require('@opentelemetry/api');
+
+const ENTRADA_ID_SOLICITUD = 'request.id';
+const ID_SOLICITUD_REGEX = /^[\w.:-]{1,128}$/;
+
+function idSolicitudActual(contexto = context.active()) {
+  const entrada = propagation.getBaggage(contexto)?.getEntry(ENTRADA_ID_SOLICITUD);
+  return entrada ? entrada.value : undefined;
+}
+
+// Middleware: toma el id del baggage (llamada de otro servicio), de X-Request-Id o
+// genera uno, lo devuelve en X-Request-Id y deja el resto de la solicitud en su contexto
+function asignarIdSolicitud(req, res, next) {
+  const cabecera = req.headers['x-request-id'];
+  const id = idSolicitudActual()
+    || (ID_SOLICITUD_REGEX.test(cabecera || '') ? cabecera : crypto.randomUUID());
+    
+  const baggage = propagation.getBaggage(context.active()) || propagation.createBaggage();
+  const contexto = propagation.setBaggage(
+    context.active(),
+    baggage.setEntry(ENTRADA_ID_SOLICITUD, { value: id })
+  );
+  trace.getSpan(contexto)?.setAttribute('http.request_id', id);
+  res.set('X-Request-Id', id);
+  context.with(contexto, next);
+}
+
+// Formato de winston: agrega los ids del contexto activo a la línea de log
+const formatoTrazas = winston.format((info) => {
+  const span = trace.getSpan(context.active());
+  if (span) {
+    const { traceId, spanId } = span.spanContext();
+    info.traceId = traceId;
+    info.spanId = spanId;
+  }
+  const requestId = idSolicitudActual();
+  if (requestId) info.requestId = requestId;
+  return info;
+});
+
+module.exports = { asignarIdSolicitud, formatoTrazas };
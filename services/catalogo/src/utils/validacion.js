@@ -0,0 +1,184 @@
+// services/catalogo/src/utils/validacion.js
+// Validación con esquemas declarativos del body, la query y los params de las rutas, y
+// de los payloads de los mensajes. Un esquema describe cada campo:
+//   { productoId: { tipo: 'entero', requerido: true, minimo: 1 } }
+// Tipos: texto, entero, numero, booleano, fecha (ISO 8601, se convierte a Date), uuid,
+// email, objeto (con campos; sin campos se acepta tal cual) y lista (con elementos).
+// Restricciones: requerido, minimo/maximo (valor en números, longitud en textos y
+// listas), valores, patron, futura (fechas), recortar (textos) y porDefecto. Los
+// campos que no están en el esquema se descartan.
+const { CodigoError, enviarError } = require('./errores');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Códigos de los errores por campo (detalles[].codigo)
+const CodigoCampo = {
+  REQUERIDO: 'REQUERIDO',
+  TIPO_INVALIDO: 'TIPO_INVALIDO',
+  FORMATO_INVALIDO: 'FORMATO_INVALIDO',
+  FUERA_DE_RANGO: 'FUERA_DE_RANGO',
+  LONGITUD_INVALIDA: 'LONGITUD_INVALIDA',
+  VALOR_NO_PERMITIDO: 'VALOR_NO_PERMITIDO',
+  // El valor tiene la forma correcta pero no corresponde a un recurso existente
+  NO_ENCONTRADO: 'NO_ENCONTRADO'
+};
+
+// es: comprueba el tipo; formato: comprueba el contenido de un texto; desdeTexto:
+// conversión de los valores de query y params, que siempre llegan como texto
+const TIPOS = {
+  texto: { es: (v) => typeof v === 'string', descripcion: 'un texto' },
+  entero: { es: Number.isInteger, descripcion: 'un entero', desdeTexto: Number },
+  numero: { es: (v) => typeof v === 'number' && Number.isFinite(v), descripcion: 'un número', desdeTexto: Number },
+  booleano: {
+    es: (v) => typeof v === 'boolean',
+    descripcion: 'true o false',
+    desdeTexto: (v) => ({ true: true, false: false })[v] ?? v
+  },
+  fecha: {
+    es: (v) => typeof v === 'string',
+    formato: (v) => !isNaN(new Date(v).getTime()),
+    descripcion: 'una fecha en formato ISO 8601'
+  },
+  uuid: { es: (v) => typeof v === 'string', formato: (v) => UUID_REGEX.test(v), descripcion: 'un UUID' },
+  email: { es: (v) => typeof v === 'string', formato: (v) => EMAIL_REGEX.test(v), descripcion: 'un email' },
+  objeto: { es: (v) => v !== null && typeof v === 'object' && !Array.isArray(v), descripcion: 'un objeto' },
+  lista: { es: Array.isArray, descripcion: 'una lista' }
+};
+
+// Error de validación de un payload de mensaje (los handlers lo tratan como fallo
+// definitivo: reintentar no lo corrige)
+class ErrorValidacion extends Error {
+  constructor(detalles) {
+    super(`Payload inválido: ${detalles.map((d) => `${d.campo} ${d.mensaje}`).join('; ')}`);
+    this.name = 'ErrorValidacion';
+    this.detalles = detalles;
+  }
+}
+
+function rutaDe(padre, campo) {
+  return padre ? `${padre}.${campo}` : campo;
+}
+
+function validarRango(regla, valor, campo, detalles) {
+  const medida = typeof valor === 'number' ? valor : valor.length;
+  const codigo = typeof valor === 'number' ? CodigoCampo.FUERA_DE_RANGO : CodigoCampo.LONGITUD_INVALIDA;
+  const unidad = typeof valor === 'number' ? '' : (Array.isArray(valor) ? ' elementos' : ' caracteres');
+  
+  if (regla.minimo !== undefined && medida < regla.minimo) {
+    detalles.push({ campo, codigo, mensaje: `debe ser de al menos ${regla.minimo}${unidad}` });
+  } else if (regla.maximo !== undefined && medida > regla.maximo) {
+    detalles.push({ campo, codigo, mensaje: `debe ser de como máximo ${regla.maximo}${unidad}` });
+  }
+}
+
+// Valida un valor contra su regla; agrega los errores a detalles y retorna el valor
+// normalizado
+function validarValor(regla, valor, campo, detalles, opciones) {
+  if (valor === undefined || valor === null || (opciones.desdeTexto && valor === '')) {
+    if (regla.requerido) {
+      detalles.push({ campo, codigo: CodigoCampo.REQUERIDO, mensaje: 'es requerido' });
+    }
+    return regla.porDefecto;
+  }
+  
+  const tipo = TIPOS[regla.tipo];
+  if (opciones.desdeTexto && tipo.desdeTexto && typeof valor === 'string') {
+    valor = tipo.desdeTexto(valor);
+  }
+  if (!tipo.es(valor)) {
+    detalles.push({ campo, codigo: CodigoCampo.TIPO_INVALIDO, mensaje: `debe ser ${tipo.descripcion}` });
+    return undefined;
+  }
+  if (tipo.formato && !tipo.formato(valor)) {
+    detalles.push({ campo, codigo: CodigoCampo.FORMATO_INVALIDO, mensaje: `debe ser ${tipo.descripcion}` });
+    return undefined;
+  }
+  
+  if (regla.recortar) valor = valor.trim();
+  if (regla.tipo === 'email') valor = valor.toLowerCase();
+  
+  if (regla.valores && !regla.valores.includes(valor)) {
+    detalles.push({ campo, codigo: CodigoCampo.VALOR_NO_PERMITIDO, mensaje: `debe ser uno de: ${regla.valores.join(', ')}` });
+    return undefined;
+  }
+  if (regla.patron && !regla.patron.test(valor)) {
+    detalles.push({ campo, codigo: CodigoCampo.FORMATO_INVALIDO, mensaje: 'tiene un formato inválido' });
+    return undefined;
+  }
+  if (['texto', 'entero', 'numero', 'lista'].includes(regla.tipo)) {
+    validarRango(regla, valor, campo, detalles);
+  }
+  
+  if (regla.tipo === 'fecha') {
+    valor = new Date(valor);
+    if (regla.futura && valor <= new Date()) {
+      detalles.push({ campo, codigo: CodigoCampo.FUERA_DE_RANGO, mensaje: 'debe ser una fecha futura' });
+    }
+  } else if (regla.tipo === 'objeto' && regla.campos) {
+    valor = validarCampos(regla.campos, valor, campo, detalles, opciones);
+  } else if (regla.tipo === 'lista' && regla.elementos) {
+    valor = valor.map((elemento, i) => validarValor(regla.elementos, elemento, `${campo}[${i}]`, detalles, opciones));
+  }
+  
+  return valor;
+}
+
+function validarCampos(campos, datos, padre, detalles, opciones) {
+  const valor = {};
+  for (const [nombre, regla] of Object.entries(campos)) {
+    const normalizado = validarValor(regla, datos[nombre], rutaDe(padre, nombre), detalles, opciones);
+    if (normalizado !== undefined) valor[nombre] = normalizado;
+  }
+  return valor;
+}
+
+// Validar datos contra un esquema de campos. Retorna { valor, detalles }: valor trae
+// solo los campos del esquema, normalizados; detalles está vacío si todo es válido.
+// origen nombra al conjunto de datos en los errores que no son de un campo.
+function validar(campos, datos, { origen = 'datos', desdeTexto = false } = {}) {
+  const detalles = [];
+  if (!TIPOS.objeto.es(datos)) {
+    detalles.push({ campo: origen, codigo: CodigoCampo.TIPO_INVALIDO, mensaje: 'debe ser un objeto' });
+    return { valor: {}, detalles };
+  }
+  
+  const valor = validarCampos(campos, datos, '', detalles, { desdeTexto });
+  return { valor, detalles };
+}
+
+// Middlewares: reemplazan req[origen] por el valor normalizado o responden 400 con
+// VALIDACION_FALLIDA y los errores de cada campo
+function middleware(origen, desdeTexto) {
+  return (campos) => (req, res, next) => {
+    const { valor, detalles } = validar(campos, req[origen] || {}, { origen, desdeTexto });
+    if (detalles.length > 0) {
+      return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, detalles);
+    }
+    req[origen] = valor;
+    next();
+  };
+}
+
+const validarBody = middleware('body', false);
+const validarQuery = middleware('query', true);
+const validarParams = middleware('params', true);
+
+// Validar el payload de un mensaje; lanza ErrorValidacion si no cumple el esquema
+function validarPayload(campos, payload) {
+  const { valor, detalles } = validar(campos, payload, { origen: 'payload' });
+  if (detalles.length > 0) {
+    throw new ErrorValidacion(detalles);
+  }
+  return valor;
+}
+
+module.exports = {
+  CodigoCampo,
+  ErrorValidacion,
+  validar,
+  validarBody,
+  validarQuery,
+  validarParams,
+  validarPayload
+};
@@ -1,158 +1,362 @@
 // services/inventario/src/app.js
+// Trazas: antes que cualquier otro módulo, para instrumentar express, http y pg
+const { cerrarTrazas } = require('./instrumentacion');
 const express = require('express');
-const { Pool } = require('pg');
-const amqp = require('amqplib');
-const winston = require('winston');
+const { pool, ejecutarEnTransaccion } = require('./config/database');
+const logger = require('./utils/logger');
+const { QUEUES } = require('./config/messaging');
+const { conectarRabbitMQ, canalActual, cerrarRabbitMQ } = require('./utils/rabbitmq');
+const { guardarEnOutbox, publicarPendientes, limpiarOutbox } = require('./utils/outbox');
+const { registrarMensaje, limpiarInbox } = require('./utils/inbox');
+const {
+  consumirConReintentos,
+  consumirDLQ,
+  verificarConsumidores,
+  cancelarConsumidores,
+  esperarMensajesEnCurso
+} = require('./utils/consumidor');
+const { listarFallidos, obtenerFallido, reprocesarFallido, descartarFallido } = require('./utils/dlq');
+const { authenticateToken, requireAdmin, puedeAcceder } = require('./utils/auth');
+const { CodigoError, enviarError, rutaNoEncontrada, manejarErrores } = require('./utils/errores');
+const { medirHttp, medirPool, exponerMetricas } = require('./utils/metricas');
+const { asignarIdSolicitud } = require('./utils/trazas');
+const { crearSondas } = require('./utils/salud');
+const { repetir, detenerTemporizadores, cerrarServidor, instalarApagado } = require('./utils/apagado');
+const { CodigoCampo, validarBody, validarQuery, validarParams, validarPayload, ErrorValidacion } = require('./utils/validacion');
+const {
+  FECHA_REGEX,
+  fechaDeSalida,
+  dia,
+  rangoDisponibilidad,
+  consultarDisponibilidad,
+  definirSalida
+} = require('./utils/salidas');
+
+// Readiness: base de datos, canal de RabbitMQ y consumidores de la cola del servicio
+const sondas = crearSondas({
+  servicio: 'inventario',
+  logger,
+  verificaciones: {
+    postgres: async () => {
+      await pool.query('SELECT 1');
+    },
+    rabbitmq: async () => {
+      const channel = canalActual();
+      if (!channel) throw new Error('Canal no abierto');
+      const { messageCount, consumerCount } = await channel.checkQueue(QUEUES.inventario.nombre);
+      return { mensajesEnCola: messageCount, consumidoresEnBroker: consumerCount };
+    },
+    consumidores: () => verificarConsumidores(QUEUES.inventario.nombre)
+  }
+});
 
 const app = express();
+// Id de solicitud (X-Request-Id) y métricas: latencia y errores de todas las rutas
+// (también las de JSON mal formado) y conexiones del pool
+app.use(asignarIdSolicitud);
+app.use(medirHttp);
+medirPool(pool);
+// Sin sus dependencias el servicio responde 503 (salvo las sondas y las métricas)
+app.use(sondas.exigirPreparado);
 app.use(express.json());
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'inventario.log' })
-  ]
-});
+const OUTBOX_INTERVAL_MS = parseInt(process.env.OUTBOX_INTERVAL_MS) || 1000;
+const LIMPIEZA_INTERVAL_MS = 60 * 60 * 1000;
 
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  port: 5432
-});
+// Respuesta que inventario envía a cada comando
+const RESPUESTA_DE_COMANDO = {
+  RESERVAR_INVENTARIO: 'INVENTARIO_RESERVADO',
+  CONFIRMAR_PEDIDO: 'PEDIDO_CONFIRMADO',
+  LIBERAR_INVENTARIO: 'INVENTARIO_LIBERADO',
+  DEVOLVER_INVENTARIO: 'INVENTARIO_DEVUELTO'
+};
 
-let channel;
+// Payload que inventario necesita de cada comando; uno inválido se responde como
+// fallido sin reintentar
+const ESQUEMAS_COMANDO = {
+  RESERVAR_INVENTARIO: {
+    items: {
+      tipo: 'lista',
+      requerido: true,
+      minimo: 1,
+      elementos: {
+        tipo: 'objeto',
+        requerido: true,
+        campos: {
+          productoId: { tipo: 'entero', requerido: true, minimo: 1 },
+          cantidad: { tipo: 'entero', requerido: true, minimo: 1 }
+        }
+      }
+    },
+    usuarioId: { tipo: 'entero', minimo: 1 },
+    // Requerida si algún producto se vende por fecha de salida
+    fechaViaje: { tipo: 'fecha' }
+  },
+  CONFIRMAR_PEDIDO: {},
+  LIBERAR_INVENTARIO: {},
+  DEVOLVER_INVENTARIO: {
+    sagaReserva: { tipo: 'uuid', requerido: true }
+  }
+};
 
-async function connectRabbitMQ() {
-  const connection = await amqp.connect(process.env.RABBITMQ_URL);
-  channel = await connection.createChannel();
-  
-  await channel.assertQueue('saga_events', { durable: true });
-  await channel.assertQueue('pedidos_responses', { durable: true });
-  
-  // Consumir eventos de Saga
-  channel.consume('saga_events', async (msg) => {
-    const event = JSON.parse(msg.content.toString());
-    if (event.evento === 'RESERVAR_INVENTARIO' || event.evento === 'LIBERAR_INVENTARIO') {
+const ESQUEMA_ID_SAGA = { sagaId: { tipo: 'uuid', requerido: true } };
+const ESQUEMA_ID_PRODUCTO = { id: { tipo: 'entero', requerido: true, minimo: 1 } };
+const ESQUEMA_ID_FALLIDO = { id: { tipo: 'entero', requerido: true, minimo: 1 } };
+
+const ESQUEMA_DISPONIBILIDAD = {
+  desde: { tipo: 'fecha', patron: FECHA_REGEX },
+  hasta: { tipo: 'fecha', patron: FECHA_REGEX }
+};
+
+const ESQUEMA_SALIDA_PARAMS = {
+  id: { tipo: 'entero', requerido: true, minimo: 1 },
+  fecha: { tipo: 'fecha', requerido: true, patron: FECHA_REGEX }
+};
+
+const ESQUEMA_SALIDA = {
+  capacidad: { tipo: 'entero', requerido: true, minimo: 0 }
+};
+
+const ESQUEMA_LISTADO_DLQ = {
+  estado: { tipo: 'texto', valores: ['PENDIENTE', 'REPROCESADO', 'DESCARTADO'], porDefecto: 'PENDIENTE' }
+};
+
+const ESQUEMA_DESCARTE = {
+  motivo: { tipo: 'texto', recortar: true, maximo: 500 }
+};
+
+// Consumidores de la cola del servicio y su DLQ; se registran de nuevo en cada
+// reconexión a RabbitMQ
+async function registrarConsumidores(channel) {
+  // Consumir comandos de Saga dirigidos a inventario (inventario.*)
+  await consumirConReintentos(channel, QUEUES.inventario.nombre, async (event, msg) => {
+    if (RESPUESTA_DE_COMANDO[event.evento]) {
       await procesarEventoInventario(event);
+    } else {
+      logger.warn('Comando desconocido para inventario', { evento: event.evento, routingKey: msg.fields.routingKey });
     }
-    channel.ack(msg);
   });
-  
-  logger.info('Inventario conectado a RabbitMQ');
+  await consumirDLQ(channel, QUEUES.inventario.nombre);
 }
 
 async function procesarEventoInventario(event) {
-  const { sagaId, evento, payload } = event;
+  const { sagaId, evento, payload, messageId } = event;
   
-  logger.info('Procesando evento inventario', { sagaId, evento });
+  logger.info('Procesando evento inventario', { sagaId, evento, messageId });
   
   try {
-    if (evento === 'RESERVAR_INVENTARIO') {
-      const success = await reservarStock(sagaId, payload.productoId, payload.cantidad);
-      await enviarRespuesta(sagaId, 'INVENTARIO_RESERVADO', success, payload);
+    // Inbox, reserva y respuesta se confirman en la misma transacción
+    await ejecutarEnTransaccion(async (client) => {
+      if (!(await registrarMensaje(client, event))) return;
       
-    } else if (evento === 'LIBERAR_INVENTARIO') {
-      await liberarStock(sagaId);
-      logger.info('Stock liberado por compensación', { sagaId });
-    }
+      const datos = validarPayload(ESQUEMAS_COMANDO[evento], payload);
+      
+      if (evento === 'RESERVAR_INVENTARIO') {
+        const { reservado, ...resultado } = await reservarStock(client, sagaId, datos);
+        await enviarRespuesta(client, sagaId, 'INVENTARIO_RESERVADO', reservado, { ...payload, ...resultado });
+        
+      } else if (evento === 'CONFIRMAR_PEDIDO') {
+        const success = await confirmarReserva(client, sagaId);
+        await enviarRespuesta(client, sagaId, 'PEDIDO_CONFIRMADO', success, payload);
+        
+      } else if (evento === 'LIBERAR_INVENTARIO') {
+        const detalle = await liberarStock(client, sagaId);
+        await enviarRespuesta(client, sagaId, 'INVENTARIO_LIBERADO', true, { ...payload, detalle });
+        logger.info('Stock liberado por compensación', { sagaId, ...detalle });
+        
+      } else if (evento === 'DEVOLVER_INVENTARIO') {
+        // Saga de cancelación: la reserva confirmada es la de la saga de reserva
+        const detalle = await liberarStock(client, datos.sagaReserva);
+        await enviarRespuesta(client, sagaId, 'INVENTARIO_DEVUELTO', true, { ...payload, detalle });
+        logger.info('Stock devuelto por cancelación', { sagaId, sagaReserva: datos.sagaReserva, ...detalle });
+      }
+    });
     
   } catch (error) {
-    logger.error('Error procesando evento inventario', error);
-    await enviarRespuesta(sagaId, 'INVENTARIO_RESERVADO', false, { error: error.message });
+    // Solo un payload inválido es un fallo definitivo. Los demás errores (base de datos,
+    // catálogo, pasarela) pueden ser pasajeros: el mensaje se reintenta y, si sigue
+    // fallando, queda en la DLQ
+    const respuesta = RESPUESTA_DE_COMANDO[evento];
+    if (!respuesta || !(error instanceof ErrorValidacion)) throw error;
+    
+    logger.warn('Comando con payload inválido, se responde como fallido', { sagaId, evento, error: error.message });
+    await ejecutarEnTransaccion(async (client) => {
+      if (!(await registrarMensaje(client, event))) return;
+      await enviarRespuesta(client, sagaId, respuesta, false, { ...payload, error: error.message });
+    });
   }
 }
 
-async function reservarStock(sagaId, productoId, cantidad) {
-  const client = await pool.connect();
+// Reservar todas las líneas del pedido o ninguna: si falta stock o cupo de alguna no
+// se toca ningún producto. Los productos con salidas reservan cupos de la salida del
+// día del viaje; los demás, stock_disponible. usuarioId (dueño del pedido) permite
+// aplicar la política de propietario al consultar la reserva. Retorna { reservado } y,
+// si no se reservó, { razon, error } (sin razon, pedidos usa INVENTARIO_NO_DISPONIBLE).
+async function reservarStock(client, sagaId, { items, usuarioId, fechaViaje }) {
+  // Un reintento del orquestador no debe reservar dos veces para la misma saga
+  const existente = await client.query(
+    'SELECT estado FROM reservas_temporales WHERE saga_id = $1 LIMIT 1',
+    [sagaId]
+  );
   
-  try {
-    await client.query('BEGIN');
+  if (existente.rows.length > 0) {
+    const { estado } = existente.rows[0];
+    logger.info('Reserva ya registrada para la saga', { sagaId, estado });
+    return { reservado: estado === 'ACTIVA' || estado === 'CONFIRMADA' };
+  }
+  
+  // Bloquear los productos en orden de id para no cruzarse con otra saga concurrente
+  const productoIds = items.map((item) => item.productoId).sort((a, b) => a - b);
+  const productosResult = await client.query(
+    'SELECT id, stock_disponible, con_salidas FROM productos WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+    [productoIds]
+  );
+  const productos = new Map(productosResult.rows.map((fila) => [fila.id, fila]));
+  
+  const noEncontrado = items.find((item) => !productos.has(item.productoId));
+  if (noEncontrado) {
+    return { reservado: false, error: `Producto no encontrado: ${noEncontrado.productoId}` };
+  }
+  
+  // Salidas del día del viaje, bloqueadas en el mismo orden
+  const conSalidas = productoIds.filter((id) => productos.get(id).con_salidas);
+  const fechaSalida = fechaViaje ? fechaDeSalida(fechaViaje) : null;
+  let salidas = new Map();
+  if (conSalidas.length > 0) {
+    if (!fechaSalida) {
+      logger.warn('Pedido sin fecha de viaje para productos con salidas', { sagaId, productoIds: conSalidas });
+      return {
+        reservado: false,
+        razon: 'FECHA_VIAJE_REQUERIDA',
+        error: `Los productos ${conSalidas.join(', ')} se venden por fecha de salida: falta fechaViaje`
+      };
+    }
     
-    // Verificar stock disponible
-    const stockResult = await client.query(
-      'SELECT stock_disponible FROM productos WHERE id = $1 FOR UPDATE',
-      [productoId]
+    const salidasResult = await client.query(
+      'SELECT id, producto_id, cupos_disponibles FROM salidas WHERE producto_id = ANY($1) AND fecha = $2 ORDER BY producto_id FOR UPDATE',
+      [conSalidas, fechaSalida]
     );
-    
-    if (stockResult.rows.length === 0) {
-      throw new Error('Producto no encontrado');
+    salidas = new Map(salidasResult.rows.map((fila) => [fila.producto_id, fila]));
+  }
+  
+  for (const { productoId, cantidad } of items) {
+    const producto = productos.get(productoId);
+    if (!producto.con_salidas) {
+      const disponible = producto.stock_disponible;
+      if (disponible < cantidad) {
+        logger.warn('Stock insuficiente', { sagaId, productoId, solicitado: cantidad, disponible });
+        return { reservado: false, error: `Stock insuficiente del producto ${productoId}` };
+      }
+      continue;
     }
     
-    const stockDisponible = stockResult.rows[0].stock_disponible;
-    
-    if (stockDisponible < cantidad) {
-      logger.warn('Stock insuficiente', { productoId, solicitado: cantidad, disponible: stockDisponible });
-      await client.query('ROLLBACK');
-      return false;
+    const salida = salidas.get(productoId);
+    if (!salida) {
+      logger.warn('Sin salida en la fecha del viaje', { sagaId, productoId, fechaSalida });
+      return {
+        reservado: false,
+        razon: 'SALIDA_NO_DISPONIBLE',
+        error: `El producto ${productoId} no tiene salida el ${fechaSalida}`
+      };
+    }
+    if (salida.cupos_disponibles < cantidad) {
+      logger.warn('Cupo insuficiente en la salida', { sagaId, productoId, fechaSalida, solicitado: cantidad, disponible: salida.cupos_disponibles });
+      return {
+        reservado: false,
+        error: `Cupo insuficiente en la salida del ${fechaSalida} del producto ${productoId}`
+      };
+    }
+  }
+  
+  // Reducir stock o cupos y crear una reserva temporal por línea (expiran en 10 minutos)
+  const expiraEn = new Date(Date.now() + 10 * 60 * 1000);
+  for (const { productoId, cantidad } of items) {
+    const salida = salidas.get(productoId);
+    if (salida) {
+      await client.query(
+        'UPDATE salidas SET cupos_disponibles = cupos_disponibles - $1, updated_at = NOW() WHERE id = $2',
+        [cantidad, salida.id]
+      );
+    } else {
+      await client.query(
+        'UPDATE productos SET stock_disponible = stock_disponible - $1 WHERE id = $2',
+        [cantidad, productoId]
+      );
     }
-    
-    // Reducir stock temporalmente
-    await client.query(
-      'UPDATE productos SET stock_disponible = stock_disponible - $1 WHERE id = $2',
-      [cantidad, productoId]
-    );
-    
-    // Crear reserva temporal (expira en 10 minutos)
     await client.query(
-      'INSERT INTO reservas_temporales (saga_id, producto_id, cantidad_reservada, expira_en) VALUES ($1, $2, $3, $4)',
-      [sagaId, productoId, cantidad, new Date(Date.now() + 10 * 60 * 1000)]
+      `INSERT INTO reservas_temporales (saga_id, usuario_id, producto_id, salida_id, cantidad_reservada, expira_en)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [sagaId, usuarioId, productoId, salida ? salida.id : null, cantidad, expiraEn]
     );
-    
-    await client.query('COMMIT');
-    logger.info('Stock reservado exitosamente', { sagaId, productoId, cantidad });
-    return true;
-    
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
   }
+  
+  logger.info('Stock reservado exitosamente', { sagaId, items, fechaSalida });
+  return { reservado: true };
 }
 
-async function liberarStock(sagaId) {
-  const client = await pool.connect();
+// Confirmar la reserva de una saga completada para que el limpiador no la expire
+async function confirmarReserva(client, sagaId) {
+  const result = await client.query(
+    'UPDATE reservas_temporales SET estado = $1 WHERE saga_id = $2 AND estado IN ($3, $1)',
+    ['CONFIRMADA', sagaId, 'ACTIVA']
+  );
   
-  try {
-    await client.query('BEGIN');
-    
-    // Obtener reserva
-    const reservaResult = await client.query(
-      'SELECT * FROM reservas_temporales WHERE saga_id = $1 AND estado = $2',
-      [sagaId, 'ACTIVA']
-    );
-    
-    if (reservaResult.rows.length > 0) {
-      const reserva = reservaResult.rows[0];
-      
-      // Devolver stock
+  if (result.rowCount === 0) {
+    logger.warn('No hay reserva activa para confirmar', { sagaId });
+    return false;
+  }
+  
+  logger.info('Reserva confirmada', { sagaId });
+  return true;
+}
+
+// Devolver el stock reservado por la saga. Retorna el detalle para la respuesta a pedidos.
+async function liberarStock(client, sagaId) {
+  // Reservas de todas las líneas (también las confirmadas: una saga que falla al
+  // confirmar se compensa)
+  const reservaResult = await client.query(
+    'SELECT * FROM reservas_temporales WHERE saga_id = $1 AND estado IN ($2, $3) ORDER BY producto_id FOR UPDATE',
+    [sagaId, 'ACTIVA', 'CONFIRMADA']
+  );
+  
+  if (reservaResult.rows.length === 0) {
+    return { cantidadLiberada: 0, motivo: 'Sin reserva activa para la saga' };
+  }
+  
+  // Devolver stock o, si la reserva es de una salida, sus cupos
+  for (const reserva of reservaResult.rows) {
+    if (reserva.salida_id) {
       await client.query(
-        'UPDATE productos SET stock_disponible = stock_disponible + $1 WHERE id = $2',
-        [reserva.cantidad_reservada, reserva.producto_id]
+        'UPDATE salidas SET cupos_disponibles = cupos_disponibles + $1, updated_at = NOW() WHERE id = $2',
+        [reserva.cantidad_reservada, reserva.salida_id]
       );
-      
-      // Marcar reserva como liberada
+    } else {
       await client.query(
-        'UPDATE reservas_temporales SET estado = $1 WHERE saga_id = $2',
-        ['LIBERADA', sagaId]
+        'UPDATE productos SET stock_disponible = stock_disponible + $1 WHERE id = $2',
+        [reserva.cantidad_reservada, reserva.producto_id]
       );
     }
-    
-    await client.query('COMMIT');
-    
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
   }
+  
+  // Marcar reservas como liberadas
+  await client.query(
+    'UPDATE reservas_temporales SET estado = $1 WHERE saga_id = $2 AND estado IN ($3, $4)',
+    ['LIBERADA', sagaId, 'ACTIVA', 'CONFIRMADA']
+  );
+  
+  const lineas = reservaResult.rows.map((reserva) => ({
+    productoId: reserva.producto_id,
+    cantidadLiberada: reserva.cantidad_reservada
+  }));
+  
+  return {
+    lineas,
+    cantidadLiberada: lineas.reduce((total, linea) => total + linea.cantidadLiberada, 0)
+  };
 }
 
-async function enviarRespuesta(sagaId, evento, success, payload) {
+// Registrar respuesta en el outbox (dentro de la transacción del client)
+async function enviarRespuesta(client, sagaId, evento, success, payload) {
   const response = {
     sagaId,
     evento,
@@ -162,61 +366,250 @@ async function enviarRespuesta(sagaId, evento, success, payload) {
     servicio: 'inventario'
   };
   
-  await channel.sendToQueue('pedidos_responses', Buffer.from(JSON.stringify(response)));
-  logger.info('Respuesta enviada', { sagaId, evento, success });
+  await guardarEnOutbox(client, response);
+  logger.info('Respuesta registrada en outbox', { sagaId, evento, success });
 }
 
-// Endpoint para consultar productos
-app.get('/productos', async (req, res) => {
+// Endpoint para consultar productos (los que se venden por fecha aparecen siempre: su
+// disponibilidad está en /productos/:id/disponibilidad)
+app.get('/productos', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM productos WHERE stock_disponible > 0');
+    const result = await pool.query('SELECT * FROM productos WHERE stock_disponible > 0 OR con_salidas');
     res.json(result.rows);
   } catch (error) {
     logger.error('Error consultando productos', error);
-    res.status(500).json({ error: 'Error interno' });
+    enviarError(res, CodigoError.ERROR_INTERNO);
   }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', service: 'inventario', timestamp: new Date().toISOString() });
+// Cupos por fecha de salida entre desde y hasta (AAAA-MM-DD; por defecto, los próximos
+// 30 días)
+app.get('/productos/:id/disponibilidad', authenticateToken, validarParams(ESQUEMA_ID_PRODUCTO), validarQuery(ESQUEMA_DISPONIBILIDAD), async (req, res) => {
+  const { desde, hasta, detalles } = rangoDisponibilidad(req.query);
+  if (detalles) {
+    return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, detalles);
+  }
+  
+  try {
+    const disponibilidad = await consultarDisponibilidad(req.params.id, desde, hasta);
+    if (!disponibilidad) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Producto no encontrado');
+    }
+    res.json(disponibilidad);
+  } catch (error) {
+    logger.error('Error consultando disponibilidad', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
 });
 
-// Limpiar reservas expiradas cada 5 minutos
-setInterval(async () => {
+// Crear una salida o cambiar su capacidad (solo admin)
+app.put('/admin/productos/:id/salidas/:fecha', authenticateToken, requireAdmin, validarParams(ESQUEMA_SALIDA_PARAMS), validarBody(ESQUEMA_SALIDA), async (req, res) => {
+  const fecha = dia(req.params.fecha);
+  if (fecha < fechaDeSalida(new Date())) {
+    return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, [
+      { campo: 'fecha', codigo: CodigoCampo.FUERA_DE_RANGO, mensaje: 'no puede ser una fecha pasada' }
+    ]);
+  }
+  
+  try {
+    const resultado = await definirSalida(req.params.id, fecha, req.body.capacidad);
+    if (!resultado) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Producto no encontrado');
+    }
+    if (resultado.error) {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, resultado.error);
+    }
+    
+    logger.info('Salida definida', { productoId: req.params.id, ...resultado.salida, adminId: req.user.userId });
+    res.json({ productoId: req.params.id, ...resultado.salida });
+  } catch (error) {
+    logger.error('Error definiendo salida', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Reservas de una saga (una por línea del pedido), con la fecha de la salida si la tiene
+app.get('/reservas/:sagaId', authenticateToken, validarParams(ESQUEMA_ID_SAGA), async (req, res) => {
   try {
     const result = await pool.query(
-      'UPDATE reservas_temporales SET estado = $1 WHERE expira_en < NOW() AND estado = $2',
-      ['EXPIRADA', 'ACTIVA']
+      `SELECT r.*, to_char(s.fecha, 'YYYY-MM-DD') AS fecha_salida
+       FROM reservas_temporales r
+       LEFT JOIN salidas s ON s.id = r.salida_id
+       WHERE r.saga_id = $1
+       ORDER BY r.producto_id`,
+      [req.params.sagaId]
     );
     
-    if (result.rowCount > 0) {
-      // Devolver stock de reservas expiradas
-      await pool.query(`
-        UPDATE productos 
-        SET stock_disponible = stock_disponible + rt.cantidad_reservada
-        FROM reservas_temporales rt
-        WHERE rt.producto_id = productos.id 
-          AND rt.estado = 'EXPIRADA'
-          AND rt.expira_en > NOW() - INTERVAL '1 minute'
-      `);
-      
-      logger.info('Reservas expiradas limpiadas', { cantidad: result.rowCount });
+    // Un cliente solo ve las reservas de sus propios pedidos
+    res.json(result.rows.filter((reserva) => puedeAcceder(req.user, reserva.usuario_id)));
+  } catch (error) {
+    logger.error('Error consultando reservas', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Administración de la DLQ (mensajes que agotaron sus reintentos)
+app.get('/admin/dlq', authenticateToken, requireAdmin, validarQuery(ESQUEMA_LISTADO_DLQ), async (req, res) => {
+  try {
+    const mensajes = await listarFallidos(req.query.estado);
+    res.json(mensajes);
+  } catch (error) {
+    logger.error('Error consultando DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+app.get('/admin/dlq/:id', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    res.json(fallido);
+  } catch (error) {
+    logger.error('Error consultando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+app.post('/admin/dlq/:id/reprocesar', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    if (fallido.estado !== 'PENDIENTE') {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, `Mensaje ya ${fallido.estado.toLowerCase()}`);
+    }
+    
+    const channel = canalActual();
+    if (!channel) {
+      return enviarError(res, CodigoError.SERVICIO_NO_DISPONIBLE, 'RabbitMQ no disponible');
+    }
+    
+    await reprocesarFallido(channel, fallido);
+    res.json({ id: fallido.id, estado: 'REPROCESADO' });
+  } catch (error) {
+    logger.error('Error reprocesando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+app.delete('/admin/dlq/:id', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), validarBody(ESQUEMA_DESCARTE), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    if (fallido.estado !== 'PENDIENTE') {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, `Mensaje ya ${fallido.estado.toLowerCase()}`);
+    }
+    
+    await descartarFallido(fallido, req.body.motivo);
+    res.json({ id: fallido.id, estado: 'DESCARTADO' });
+  } catch (error) {
+    logger.error('Error descartando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Sondas de salud: liveness y readiness (/health es la readiness)
+app.get('/health/live', sondas.vivo);
+app.get('/health/ready', sondas.preparado);
+app.get('/health', sondas.preparado);
+
+// Métricas para Prometheus
+app.get('/metrics', exponerMetricas);
+
+// Errores en el formato común: rutas inexistentes, JSON mal formado y no capturados
+app.use(rutaNoEncontrada);
+app.use(manejarErrores);
+
+// Limpiar reservas expiradas cada 5 minutos, devolviendo el stock (o los cupos de la
+// salida) de cada línea en la misma sentencia que las marca como expiradas
+repetir(async () => {
+  try {
+    const result = await pool.query(`
+      WITH expiradas AS (
+        UPDATE reservas_temporales
+        SET estado = 'EXPIRADA'
+        WHERE expira_en < NOW() AND estado = 'ACTIVA'
+        RETURNING producto_id, salida_id, cantidad_reservada
+      ), por_producto AS (
+        SELECT producto_id, SUM(cantidad_reservada) AS cantidad, COUNT(*) AS reservas
+        FROM expiradas
+        WHERE salida_id IS NULL
+        GROUP BY producto_id
+      ), por_salida AS (
+        SELECT salida_id, SUM(cantidad_reservada) AS cantidad, COUNT(*) AS reservas
+        FROM expiradas
+        WHERE salida_id IS NOT NULL
+        GROUP BY salida_id
+      ), stock_devuelto AS (
+        UPDATE productos
+        SET stock_disponible = stock_disponible + por_producto.cantidad
+        FROM por_producto
+        WHERE por_producto.producto_id = productos.id
+        RETURNING por_producto.reservas
+      ), cupos_devueltos AS (
+        UPDATE salidas
+        SET cupos_disponibles = cupos_disponibles + por_salida.cantidad, updated_at = NOW()
+        FROM por_salida
+        WHERE por_salida.salida_id = salidas.id
+        RETURNING por_salida.reservas
+      )
+      SELECT reservas FROM stock_devuelto
+      UNION ALL
+      SELECT reservas FROM cupos_devueltos
+    `);
+    
+    const cantidad = result.rows.reduce((total, fila) => total + parseInt(fila.reservas), 0);
+    if (cantidad > 0) {
+      logger.info('Reservas expiradas limpiadas', { cantidad });
     }
   } catch (error) {
     logger.error('Error limpiando reservas expiradas', error);
   }
 }, 5 * 60 * 1000);
 
+// Las caídas de PostgreSQL y RabbitMQ no detienen el servicio: el pool abre conexiones
+// nuevas, RabbitMQ se reconecta y, mientras tanto, la readiness responde 503
 async function initialize() {
   try {
-    await connectRabbitMQ();
+    await conectarRabbitMQ(registrarConsumidores);
+    
+    // Relay del outbox: publica las respuestas pendientes en RabbitMQ
+    repetir(() => publicarPendientes(canalActual()), OUTBOX_INTERVAL_MS);
+    
+    // Borrar los mensajes enviados del outbox y los procesados más antiguos del inbox
+    repetir(limpiarOutbox, LIMPIEZA_INTERVAL_MS);
+    repetir(limpiarInbox, LIMPIEZA_INTERVAL_MS);
+    
+    // Primera verificación de las dependencias antes de aceptar solicitudes
+    await sondas.iniciar();
     
     const PORT = process.env.PORT || 3002;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`Servicio de Inventario ejecutándose en puerto ${PORT}`);
     });
     
+    // SIGTERM: rechazar solicitudes nuevas, dejar de consumir y esperar los mensajes
+    // y solicitudes en curso; publicar lo que dejaron en el outbox y cerrar conexiones
+    instalarApagado(logger, [
+      ['readiness', () => sondas.detener()],
+      ['consumidores', async () => {
+        const channel = canalActual();
+        if (channel) await cancelarConsumidores(channel);
+        await esperarMensajesEnCurso();
+      }],
+      ['http', () => cerrarServidor(server)],
+      ['workers', detenerTemporizadores],
+      ['outbox', () => publicarPendientes(canalActual())],
+      ['rabbitmq', cerrarRabbitMQ],
+      ['postgres', () => pool.end()],
+      ['trazas', cerrarTrazas]
+    ]);
+    
   } catch (error) {
     logger.error('Error inicializando servicio', error);
     process.exit(1);
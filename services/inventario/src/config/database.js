@@ -0,0 +1,52 @@
+// services/inventario/src/config/database.js
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+// Conexión a PostgreSQL
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: 5432
+});
+
+// Un cliente inactivo que pierde la conexión (p. ej. PostgreSQL se reinicia) emite
+// error en el pool; sin este handler el proceso terminaría. El pool lo descarta y
+// abre conexiones nuevas en las siguientes consultas.
+pool.on('error', (error) => {
+  logger.error('Conexión inactiva de PostgreSQL perdida', { error: error.message });
+});
+
+// Ejecuta fn dentro de una transacción (ROLLBACK si algo falla). Con
+// client.alConfirmar(accion), fn deja acciones que corren solo si la transacción
+// confirma (p. ej. actualizar métricas).
+async function ejecutarEnTransaccion(fn) {
+  const client = await pool.connect();
+  const alConfirmar = [];
+  client.alConfirmar = (accion) => alConfirmar.push(accion);
+  
+  let resultado;
+  let conexionRota;
+  try {
+    await client.query('BEGIN');
+    resultado = await fn(client);
+    await client.query('COMMIT');
+    
+  } catch (error) {
+    // Si el ROLLBACK también falla, la conexión quedó en un estado desconocido: el pool
+    // la descarta en vez de reutilizarla
+    await client.query('ROLLBACK').catch((errorRollback) => {
+      conexionRota = errorRollback;
+    });
+    throw error;
+  } finally {
+    delete client.alConfirmar;
+    client.release(conexionRota);
+  }
+  
+  alConfirmar.forEach((accion) => accion());
+  return resultado;
+}
+
+module.exports = { pool, ejecutarEnTransaccion };
@@ -0,0 +1,97 @@
+// services/inventario/src/config/messaging.js
+// Topología de mensajería de la Saga. Es la misma en pedidos, inventario y pagos:
+// cada servicio la declara completa al conectar, así ningún comando se pierde
+// porque el servicio destino aún no haya creado su cola.
+const SAGA_EXCHANGE = 'tuso.saga';
+
+// Routing key de cada comando y respuesta de la Saga
+const ROUTING_KEYS = {
+  RESERVAR_INVENTARIO: 'inventario.reservar',
+  LIBERAR_INVENTARIO: 'inventario.liberar',
+  PROCESAR_PAGO: 'pagos.procesar',
+  COMPENSAR_PAGO: 'pagos.compensar',
+  CONFIRMAR_PEDIDO: 'inventario.confirmar',
+  REEMBOLSAR_PAGO: 'pagos.reembolsar',
+  DEVOLVER_INVENTARIO: 'inventario.devolver',
+  INVENTARIO_RESERVADO: 'respuesta.inventario.reservado',
+  PEDIDO_CONFIRMADO: 'respuesta.inventario.confirmado',
+  INVENTARIO_LIBERADO: 'respuesta.inventario.liberado',
+  PAGO_PROCESADO: 'respuesta.pagos.procesado',
+  PAGO_PENDIENTE: 'respuesta.pagos.pendiente',
+  PAGO_REVERTIDO: 'respuesta.pagos.revertido',
+  REEMBOLSO_PROCESADO: 'respuesta.pagos.reembolso',
+  INVENTARIO_DEVUELTO: 'respuesta.inventario.devuelto',
+  // Notificación fuera de la Saga: reembolso total de un pedido ya completado
+  PAGO_REEMBOLSADO: 'respuesta.pagos.reembolsado'
+};
+
+// Reintentos con backoff exponencial mediante colas de espera (TTL + dead-letter
+// de vuelta a la cola principal). Son constantes y no variables de entorno porque
+// todos los servicios declaran las mismas colas y RabbitMQ rechaza argumentos distintos.
+const MAX_REINTENTOS = 3;
+const RETRY_BASE_MS = 2000;
+
+// Cola de cada servicio y patrones con los que se enlaza al exchange
+const QUEUES = {
+  pedidos: { nombre: 'pedidos_responses', bindings: ['respuesta.#'] },
+  inventario: { nombre: 'inventario_commands', bindings: ['inventario.*'] },
+  pagos: { nombre: 'pagos_commands', bindings: ['pagos.*'] }
+};
+
+function colaReintento(cola, intento) {
+  return `${cola}.retry.${intento}`;
+}
+
+function colaDLQ(cola) {
+  return `${cola}.dlq`;
+}
+
+// 2s, 4s, 8s...
+function retrasoReintento(intento) {
+  return RETRY_BASE_MS * 2 ** (intento - 1);
+}
+
+function routingKeyDe(evento) {
+  const routingKey = ROUTING_KEYS[evento];
+  if (!routingKey) {
+    throw new Error(`Evento sin routing key: ${evento}`);
+  }
+  return routingKey;
+}
+
+// Declarar exchange, colas, bindings, colas de reintento y DLQs (idempotente)
+async function configurarTopologia(channel) {
+  await channel.assertExchange(SAGA_EXCHANGE, 'topic', { durable: true });
+  
+  for (const { nombre, bindings } of Object.values(QUEUES)) {
+    await channel.assertQueue(nombre, { durable: true });
+    for (const patron of bindings) {
+      await channel.bindQueue(nombre, SAGA_EXCHANGE, patron);
+    }
+    
+    for (let intento = 1; intento <= MAX_REINTENTOS; intento++) {
+      await channel.assertQueue(colaReintento(nombre, intento), {
+        durable: true,
+        arguments: {
+          'x-message-ttl': retrasoReintento(intento),
+          'x-dead-letter-exchange': '',
+          'x-dead-letter-routing-key': nombre
+        }
+      });
+    }
+    
+    await channel.assertQueue(colaDLQ(nombre), { durable: true });
+  }
+}
+
+module.exports = {
+  SAGA_EXCHANGE,
+  ROUTING_KEYS,
+  QUEUES,
+  MAX_REINTENTOS,
+  colaReintento,
+  colaDLQ,
+  retrasoReintento,
+  routingKeyDe,
+  configurarTopologia
+};
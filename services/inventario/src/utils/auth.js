@@ -0,0 +1,86 @@
+// services/inventario/src/utils/auth.js
+// Verifica los access tokens que emite pedidos con las claves públicas de su JWKS,
+// sin compartir ningún secreto, y aplica las políticas por rol y propietario.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { CodigoError, enviarError } = require('./errores');
+
+const JWKS_URL = process.env.JWKS_URL || 'http://pedidos-service:3001/.well-known/jwks.json';
+const JWKS_TIMEOUT_MS = 3000;
+// Evita consultar el JWKS en cada token con un kid desconocido
+const RECARGA_MINIMA_MS = 5000;
+
+let claves = new Map();
+let ultimaRecarga = 0;
+
+async function recargarClaves() {
+  ultimaRecarga = Date.now();
+  const respuesta = await fetch(JWKS_URL, { signal: AbortSignal.timeout(JWKS_TIMEOUT_MS) });
+  if (!respuesta.ok) {
+    throw new Error(`JWKS respondió ${respuesta.status}`);
+  }
+  
+  const { keys } = await respuesta.json();
+  claves = new Map(keys.map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+}
+
+async function verificarAccessToken(token) {
+  const decodificado = jwt.decode(token, { complete: true });
+  const kid = decodificado && decodificado.header.kid;
+  if (!kid) {
+    throw new jwt.JsonWebTokenError('Token sin kid');
+  }
+  
+  // Clave nueva tras una rotación en pedidos
+  if (!claves.has(kid) && Date.now() - ultimaRecarga > RECARGA_MINIMA_MS) {
+    await recargarClaves();
+  }
+  
+  const clave = claves.get(kid);
+  if (!clave) {
+    throw new jwt.JsonWebTokenError(`Clave desconocida: ${kid}`);
+  }
+  
+  return jwt.verify(token, clave, { algorithms: ['RS256'] });
+}
+
+// Middleware JWT: mismas respuestas que pedidos
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  
+  if (!token) {
+    return enviarError(res, CodigoError.TOKEN_REQUERIDO);
+  }
+  
+  verificarAccessToken(token)
+    .then((user) => {
+      req.user = user;
+      next();
+    })
+    .catch((err) => {
+      if (err.name === 'TokenExpiredError') {
+        return enviarError(res, CodigoError.TOKEN_EXPIRADO);
+      }
+      if (err.name === 'JsonWebTokenError') {
+        return enviarError(res, CodigoError.TOKEN_INVALIDO);
+      }
+      // No se pudo consultar el JWKS
+      enviarError(res, CodigoError.SERVICIO_NO_DISPONIBLE, 'Servicio de autenticación no disponible');
+    });
+};
+
+// Solo administradores
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return enviarError(res, CodigoError.ACCESO_DENEGADO);
+  }
+  next();
+};
+
+// Un admin accede a todo; un cliente solo a lo suyo
+function puedeAcceder(user, usuarioId) {
+  return user.role === 'admin' || (usuarioId != null && Number(usuarioId) === user.userId);
+}
+
+module.exports = { authenticateToken, requireAdmin, puedeAcceder };
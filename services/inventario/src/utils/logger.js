@@ -0,0 +1,15 @@
+// services/inventario/src/utils/logger.js
+const winston = require('winston');
+const { formatoTrazas } = require('./trazas');
+
+const logger = winston.createLogger({
+  level: 'info',
+  // traceId, spanId y requestId del contexto activo en cada línea
+  format: winston.format.combine(formatoTrazas(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'inventario.log' })
+  ]
+});
+
+module.exports = logger;
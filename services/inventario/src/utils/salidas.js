@@ -0,0 +1,134 @@
+// services/inventario/src/utils/salidas.js
+// Salidas de los productos que se venden por fecha (p. ej. un paquete de 4 días): cada
+// salida tiene una capacidad y sus cupos disponibles. Un producto con_salidas no usa
+// stock_disponible: sus reservas descuentan cupos de la salida del día del viaje. El
+// día se toma en la hora local de los destinos (ZONA_HORARIA_SALIDAS).
+const { pool, ejecutarEnTransaccion } = require('../config/database');
+const { CodigoCampo } = require('./validacion');
+
+const ZONA_HORARIA_SALIDAS = process.env.ZONA_HORARIA_SALIDAS || 'America/Bogota';
+const DIAS_DISPONIBILIDAD = 30;
+const MAX_DIAS_DISPONIBILIDAD = 366;
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Día (AAAA-MM-DD) de la salida que corresponde a la fecha y hora del viaje; en-CA
+// formatea las fechas con ese patrón
+function fechaDeSalida(fechaViaje) {
+  return fechaViaje.toLocaleDateString('en-CA', { timeZone: ZONA_HORARIA_SALIDAS });
+}
+
+// Las fechas de los params y la query llegan validadas como Date a medianoche UTC
+function dia(fecha) {
+  return fecha.toISOString().slice(0, 10);
+}
+
+function sumarDias(fecha, dias) {
+  const resultado = new Date(`${fecha}T00:00:00Z`);
+  resultado.setUTCDate(resultado.getUTCDate() + dias);
+  return dia(resultado);
+}
+
+// Rango de la consulta de disponibilidad: por defecto, desde hoy y 30 días. Retorna
+// { desde, hasta } o { detalles } si el rango no es válido.
+function rangoDisponibilidad(query) {
+  const desde = query.desde ? dia(query.desde) : fechaDeSalida(new Date());
+  const hasta = query.hasta ? dia(query.hasta) : sumarDias(desde, DIAS_DISPONIBILIDAD);
+  
+  if (hasta < desde) {
+    return { detalles: [{ campo: 'hasta', codigo: CodigoCampo.FUERA_DE_RANGO, mensaje: 'debe ser igual o posterior a desde' }] };
+  }
+  if (hasta > sumarDias(desde, MAX_DIAS_DISPONIBILIDAD)) {
+    return {
+      detalles: [{ campo: 'hasta', codigo: CodigoCampo.FUERA_DE_RANGO, mensaje: `el rango no puede superar ${MAX_DIAS_DISPONIBILIDAD} días` }]
+    };
+  }
+  return { desde, hasta };
+}
+
+function formatear(fila) {
+  return {
+    fecha: fila.fecha,
+    capacidad: fila.capacidad,
+    cuposDisponibles: fila.cupos_disponibles,
+    reservados: fila.capacidad - fila.cupos_disponibles
+  };
+}
+
+// Cupos de cada salida del producto entre desde y hasta (inclusive). Un producto sin
+// salidas retorna su stock. null si el producto no existe.
+async function consultarDisponibilidad(productoId, desde, hasta) {
+  const productoResult = await pool.query(
+    'SELECT id, nombre, con_salidas, stock_disponible FROM productos WHERE id = $1',
+    [productoId]
+  );
+  const producto = productoResult.rows[0];
+  if (!producto) return null;
+  
+  if (!producto.con_salidas) {
+    return { productoId, nombre: producto.nombre, conSalidas: false, stockDisponible: producto.stock_disponible };
+  }
+  
+  // to_char: la fecha sale como AAAA-MM-DD sin pasar por la zona horaria de Node
+  const salidasResult = await pool.query(
+    `SELECT to_char(fecha, 'YYYY-MM-DD') AS fecha, capacidad, cupos_disponibles
+     FROM salidas
+     WHERE producto_id = $1 AND fecha BETWEEN $2 AND $3
+     ORDER BY fecha`,
+    [productoId, desde, hasta]
+  );
+  
+  return {
+    productoId,
+    nombre: producto.nombre,
+    conSalidas: true,
+    desde,
+    hasta,
+    salidas: salidasResult.rows.map(formatear)
+  };
+}
+
+// Crear la salida del día o cambiar su capacidad. Los cupos ya reservados se conservan:
+// la capacidad no puede quedar por debajo de ellos. Retorna { salida } o { error }, y
+// null si el producto no existe.
+async function definirSalida(productoId, fecha, capacidad) {
+  return ejecutarEnTransaccion(async (client) => {
+    const productoResult = await client.query(
+      'SELECT con_salidas FROM productos WHERE id = $1 FOR UPDATE',
+      [productoId]
+    );
+    const producto = productoResult.rows[0];
+    if (!producto) return null;
+    if (!producto.con_salidas) {
+      return { error: 'El producto no se vende por fecha de salida' };
+    }
+    
+    const actualResult = await client.query(
+      'SELECT capacidad, cupos_disponibles FROM salidas WHERE producto_id = $1 AND fecha = $2 FOR UPDATE',
+      [productoId, fecha]
+    );
+    const actual = actualResult.rows[0];
+    const reservados = actual ? actual.capacidad - actual.cupos_disponibles : 0;
+    if (capacidad < reservados) {
+      return { error: `La salida ya tiene ${reservados} cupos reservados` };
+    }
+    
+    const result = await client.query(
+      `INSERT INTO salidas (producto_id, fecha, capacidad, cupos_disponibles)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (producto_id, fecha) DO UPDATE
+         SET capacidad = EXCLUDED.capacidad, cupos_disponibles = EXCLUDED.cupos_disponibles, updated_at = NOW()
+       RETURNING to_char(fecha, 'YYYY-MM-DD') AS fecha, capacidad, cupos_disponibles`,
+      [productoId, fecha, capacidad, capacidad - reservados]
+    );
+    return { salida: formatear(result.rows[0]) };
+  });
+}
+
+module.exports = {
+  FECHA_REGEX,
+  fechaDeSalida,
+  dia,
+  rangoDisponibilidad,
+  consultarDisponibilidad,
+  definirSalida
+};
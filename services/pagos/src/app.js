@@ -1,158 +1,651 @@
 // services/pagos/src/app.js
+// Trazas: antes que cualquier otro módulo, para instrumentar express, http y pg
+const { cerrarTrazas } = require('./instrumentacion');
 const express = require('express');
-const { Pool } = require('pg');
-const amqp = require('amqplib');
-const winston = require('winston');
-const { v4: uuidv4 } = require('uuid');
+const { v5: uuidv5 } = require('uuid');
+const { pool, ejecutarEnTransaccion } = require('./config/database');
+const logger = require('./utils/logger');
+const { QUEUES } = require('./config/messaging');
+const { conectarRabbitMQ, canalActual, cerrarRabbitMQ } = require('./utils/rabbitmq');
+const { guardarEnOutbox, publicarPendientes, limpiarOutbox } = require('./utils/outbox');
+const { registrarMensaje, limpiarInbox } = require('./utils/inbox');
+const {
+  consumirConReintentos,
+  consumirDLQ,
+  verificarConsumidores,
+  cancelarConsumidores,
+  esperarMensajesEnCurso
+} = require('./utils/consumidor');
+const { listarFallidos, obtenerFallido, reprocesarFallido, descartarFallido } = require('./utils/dlq');
+const { authenticateToken, requireAdmin, puedeAcceder } = require('./utils/auth');
+const { CodigoError, enviarError, rutaNoEncontrada, manejarErrores } = require('./utils/errores');
+const { medirHttp, medirPool, exponerMetricas, pagosProcesados } = require('./utils/metricas');
+const { asignarIdSolicitud } = require('./utils/trazas');
+const { crearSondas } = require('./utils/salud');
+const { repetir, detenerTemporizadores, cerrarServidor, instalarApagado } = require('./utils/apagado');
+const { validarBody, validarQuery, validarParams, validarPayload, ErrorValidacion } = require('./utils/validacion');
+const { obtenerPrecio } = require('./utils/catalogo');
+const gateways = require('./gateways');
+const { verificarFirma } = require('./utils/firmaWebhook');
+const reembolsos = require('./utils/reembolsos');
 
-const app = express();
-app.use(express.json());
-
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'pagos.log' })
-  ]
+// Readiness: base de datos, canal de RabbitMQ y consumidores de la cola del servicio
+const sondas = crearSondas({
+  servicio: 'pagos',
+  logger,
+  verificaciones: {
+    postgres: async () => {
+      await pool.query('SELECT 1');
+    },
+    rabbitmq: async () => {
+      const channel = canalActual();
+      if (!channel) throw new Error('Canal no abierto');
+      const { messageCount, consumerCount } = await channel.checkQueue(QUEUES.pagos.nombre);
+      return { mensajesEnCola: messageCount, consumidoresEnBroker: consumerCount };
+    },
+    consumidores: () => verificarConsumidores(QUEUES.pagos.nombre)
+  }
 });
 
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  port: 5432
-});
+const app = express();
+// Id de solicitud (X-Request-Id) y métricas: latencia y errores de todas las rutas
+// (también las de JSON mal formado) y conexiones del pool
+app.use(asignarIdSolicitud);
+app.use(medirHttp);
+medirPool(pool);
+// El cuerpo sin parsear se conserva para verificar la firma de los webhooks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 
-let channel;
+const OUTBOX_INTERVAL_MS = parseInt(process.env.OUTBOX_INTERVAL_MS) || 1000;
+const LIMPIEZA_INTERVAL_MS = 60 * 60 * 1000;
+// Plazo para que la pasarela confirme un pago PSE/efectivo. Debe quedar por debajo del
+// plazo con que pedidos espera el paso (7 minutos) y de la reserva de inventario (10)
+const PAGO_PENDIENTE_TTL_MS = parseInt(process.env.PAGO_PENDIENTE_TTL_MS) || 5 * 60 * 1000;
+const PAGOS_PENDIENTES_INTERVAL_MS = 30 * 1000;
+const REEMBOLSOS_PENDIENTES_INTERVAL_MS = 30 * 1000;
+// Espacio de nombres de los transactionId derivados de la saga (UUID v5)
+const NAMESPACE_COBROS = '6f1d3c52-8a4e-4b7f-9c1a-2e5d8b0f7a36';
 
-async function connectRabbitMQ() {
-  const connection = await amqp.connect(process.env.RABBITMQ_URL);
-  channel = await connection.createChannel();
-  
-  await channel.assertQueue('saga_events', { durable: true });
-  await channel.assertQueue('pedidos_responses', { durable: true });
-  
-  channel.consume('saga_events', async (msg) => {
-    const event = JSON.parse(msg.content.toString());
-    if (event.evento === 'PROCESAR_PAGO' || event.evento === 'COMPENSAR_PAGO') {
+// Respuesta que pagos envía a cada comando
+const RESPUESTA_DE_COMANDO = {
+  PROCESAR_PAGO: 'PAGO_PROCESADO',
+  COMPENSAR_PAGO: 'PAGO_REVERTIDO',
+  REEMBOLSAR_PAGO: 'REEMBOLSO_PROCESADO'
+};
+
+// Payload que pagos necesita de cada comando; uno inválido se responde como fallido
+// sin reintentar. El método de pago se valida contra las pasarelas al cobrar.
+const ESQUEMAS_COMANDO = {
+  PROCESAR_PAGO: {
+    items: {
+      tipo: 'lista',
+      requerido: true,
+      minimo: 1,
+      elementos: {
+        tipo: 'objeto',
+        requerido: true,
+        campos: {
+          productoId: { tipo: 'entero', requerido: true, minimo: 1 },
+          cantidad: { tipo: 'entero', requerido: true, minimo: 1 },
+          precioUnitario: { tipo: 'numero', requerido: true, minimo: 0 }
+        }
+      }
+    },
+    metodoPago: { tipo: 'texto', requerido: true },
+    datosPago: { tipo: 'objeto' },
+    usuarioId: { tipo: 'entero', minimo: 1 }
+  },
+  COMPENSAR_PAGO: {},
+  REEMBOLSAR_PAGO: {
+    sagaReserva: { tipo: 'uuid', requerido: true },
+    montoReembolso: { tipo: 'numero', requerido: true, minimo: 0 },
+    motivo: { tipo: 'texto', requerido: true }
+  }
+};
+
+const ESQUEMA_WEBHOOK = {
+  referencia: { tipo: 'texto', requerido: true, minimo: 1 },
+  estado: { tipo: 'texto', requerido: true, valores: ['APROBADA', 'RECHAZADA'] },
+  motivo: { tipo: 'texto', maximo: 500 }
+};
+
+const ESQUEMA_REEMBOLSO = {
+  // Sin monto se reembolsa todo el saldo
+  monto: { tipo: 'numero', minimo: 0.01 },
+  motivo: { tipo: 'texto', requerido: true, recortar: true, minimo: 1, maximo: 500 }
+};
+
+const ESQUEMA_ID_SAGA = { sagaId: { tipo: 'uuid', requerido: true } };
+const ESQUEMA_ID_TRANSACCION = { transactionId: { tipo: 'uuid', requerido: true } };
+const ESQUEMA_ID_FALLIDO = { id: { tipo: 'entero', requerido: true, minimo: 1 } };
+
+const ESQUEMA_LISTADO_DLQ = {
+  estado: { tipo: 'texto', valores: ['PENDIENTE', 'REPROCESADO', 'DESCARTADO'], porDefecto: 'PENDIENTE' }
+};
+
+const ESQUEMA_DESCARTE = {
+  motivo: { tipo: 'texto', recortar: true, maximo: 500 }
+};
+
+// Consumidores de la cola del servicio y su DLQ; se registran de nuevo en cada
+// reconexión a RabbitMQ
+async function registrarConsumidores(channel) {
+  // Consumir comandos de Saga dirigidos a pagos (pagos.*)
+  await consumirConReintentos(channel, QUEUES.pagos.nombre, async (event, msg) => {
+    if (RESPUESTA_DE_COMANDO[event.evento]) {
       await procesarEventoPago(event);
+    } else {
+      logger.warn('Comando desconocido para pagos', { evento: event.evento, routingKey: msg.fields.routingKey });
     }
-    channel.ack(msg);
   });
-  
-  logger.info('Pagos conectado a RabbitMQ');
+  await consumirDLQ(channel, QUEUES.pagos.nombre);
 }
 
 async function procesarEventoPago(event) {
-  const { sagaId, evento, payload } = event;
+  const { sagaId, evento, payload, messageId } = event;
   
-  logger.info('Procesando evento pago', { sagaId, evento });
+  logger.info('Procesando evento pago', { sagaId, evento, messageId });
   
   try {
+    // El cobro no corre dentro de una transacción (ver procesarPago)
     if (evento === 'PROCESAR_PAGO') {
-      const success = await procesarPago(sagaId, payload);
-      await enviarRespuesta(sagaId, 'PAGO_PROCESADO', success, payload);
-      
-    } else if (evento === 'COMPENSAR_PAGO') {
-      await compensarPago(sagaId);
-      logger.info('Pago compensado', { sagaId });
+      await procesarPago(event);
+      return;
     }
     
+    // Inbox, cambio de estado y respuesta se confirman juntas
+    await ejecutarEnTransaccion(async (client) => {
+      if (!(await registrarMensaje(client, event))) return;
+      
+      const datos = validarPayload(ESQUEMAS_COMANDO[evento], payload);
+      
+      if (evento === 'COMPENSAR_PAGO') {
+        const detalle = await compensarPago(client, sagaId);
+        await enviarRespuesta(client, sagaId, 'PAGO_REVERTIDO', true, { ...payload, detalle });
+        logger.info('Pago compensado', { sagaId, ...detalle });
+        
+      } else if (evento === 'REEMBOLSAR_PAGO') {
+        const { reembolsado, error, ...detalle } = await reembolsarCancelacion(client, sagaId, datos);
+        await enviarRespuesta(client, sagaId, 'REEMBOLSO_PROCESADO', reembolsado, { ...payload, detalle, error });
+        logger.info('Reembolso de cancelación procesado', { sagaId, reembolsado, ...detalle });
+      }
+    });
+    
   } catch (error) {
-    logger.error('Error procesando evento pago', error);
-    await enviarRespuesta(sagaId, 'PAGO_PROCESADO', false, { error: error.message });
+    // Solo un payload inválido es un fallo definitivo. Los demás errores (base de datos,
+    // catálogo, pasarela) pueden ser pasajeros: el mensaje se reintenta y, si sigue
+    // fallando, queda en la DLQ
+    const respuesta = RESPUESTA_DE_COMANDO[evento];
+    if (!respuesta || !(error instanceof ErrorValidacion)) throw error;
+    
+    logger.warn('Comando con payload inválido, se responde como fallido', { sagaId, evento, error: error.message });
+    await ejecutarEnTransaccion(async (client) => {
+      if (!(await registrarMensaje(client, event))) return;
+      await enviarRespuesta(client, sagaId, respuesta, false, { ...payload, error: error.message });
+    });
+  }
+}
+
+// Cobrar en la pasarela el total de las líneas con los precios cotizados al crear el
+// pedido. La pasarela no se llama dentro de una transacción: primero se confirma la
+// transacción PROCESANDO, con un transactionId derivado de la saga que la pasarela
+// recibe como clave de idempotencia; después se cobra, y el resultado se registra junto
+// con el inbox y la respuesta. Un reintento del mensaje (también tras una caída entre el
+// cobro y su registro) reutiliza la misma transacción y no cobra dos veces.
+async function procesarPago(event) {
+  const { sagaId, payload } = event;
+  const datos = validarPayload(ESQUEMAS_COMANDO.PROCESAR_PAGO, payload);
+  
+  const { transaccion, resultado } = await ejecutarEnTransaccion((client) => prepararCobro(client, sagaId, datos));
+  const cobro = transaccion && await cobrarEnPasarela(transaccion, datos.datosPago);
+  
+  await ejecutarEnTransaccion(async (client) => {
+    if (!(await registrarMensaje(client, event))) return;
+    
+    // Un pago pendiente responde PAGO_PENDIENTE; el resultado final llega por webhook
+    const { aprobado, pendiente, ...respuesta } = cobro ? await registrarCobro(client, transaccion, cobro) : resultado;
+    if (pendiente) {
+      await enviarRespuesta(client, sagaId, 'PAGO_PENDIENTE', true, { ...payload, ...respuesta });
+    } else {
+      await enviarRespuesta(client, sagaId, 'PAGO_PROCESADO', aprobado, { ...payload, ...respuesta });
+    }
+  });
+}
+
+// El mismo para todos los intentos de cobro de la saga
+function idDeCobro(sagaId) {
+  return uuidv5(`${sagaId}:PROCESAR_PAGO`, NAMESPACE_COBROS);
+}
+
+// Retorna { transaccion } si hay que cobrar (también la de un intento anterior que no
+// alcanzó a registrar el resultado) o { resultado } si la saga ya tiene uno o el pago
+// no procede: { aprobado, montoTotal } y, si no se cobró, { razon, error }; un pago
+// pendiente, { pendiente: true, transactionId }.
+async function prepararCobro(client, sagaId, { items, metodoPago, usuarioId }) {
+  // Un reintento del orquestador no debe cobrar dos veces la misma saga
+  const existente = await client.query(
+    'SELECT * FROM transacciones WHERE saga_id = $1 ORDER BY created_at LIMIT 1 FOR UPDATE',
+    [sagaId]
+  );
+  
+  if (existente.rows.length > 0) {
+    const transaccion = existente.rows[0];
+    const { transaction_id: transactionId, estado, monto, motivo } = transaccion;
+    logger.info('Pago ya registrado para la saga', { sagaId, transactionId, estado });
+    if (estado === 'PROCESANDO') {
+      return { transaccion };
+    }
+    if (estado === 'PENDIENTE') {
+      return { resultado: { aprobado: false, pendiente: true, transactionId, montoTotal: parseFloat(monto) } };
+    }
+    return { resultado: { aprobado: estado === 'APROBADA', montoTotal: parseFloat(monto), error: motivo || undefined } };
+  }
+  
+  // El método debe estar activo y tener una pasarela configurada
+  if (!(await metodoDisponible(client, metodoPago))) {
+    logger.warn('Método de pago no válido', { metodoPago, sagaId });
+    return { resultado: { aprobado: false, error: `Método de pago no disponible: ${metodoPago}` } };
+  }
+  
+  // Nunca se cobra un monto distinto al cotizado
+  const cambios = await preciosCambiados(items);
+  if (cambios.length > 0) {
+    logger.warn('Precio cambiado desde la cotización, no se cobra', { sagaId, cambios });
+    return {
+      resultado: {
+        aprobado: false,
+        razon: 'PRECIO_CAMBIADO',
+        error: `Precio cambiado para los productos: ${cambios.map((cambio) => cambio.productoId).join(', ')}`,
+        cambios
+      }
+    };
+  }
+  
+  const result = await client.query(
+    `INSERT INTO transacciones (transaction_id, saga_id, usuario_id, monto, metodo_pago, estado)
+     VALUES ($1, $2, $3, $4, $5, 'PROCESANDO')
+     RETURNING *`,
+    [idDeCobro(sagaId), sagaId, usuarioId, calcularMonto(items), metodoPago]
+  );
+  return { transaccion: result.rows[0] };
+}
+
+// Guardar el resultado del cobro con la referencia de la pasarela; un pago pendiente
+// expira si la pasarela no lo confirma a tiempo. Si la compensación canceló la
+// transacción mientras se cobraba, el pago no cuenta y un cobro aprobado se reembolsa.
+async function registrarCobro(client, { transaction_id: transactionId, saga_id: sagaId }, cobro) {
+  const result = await client.query(
+    'SELECT * FROM transacciones WHERE transaction_id = $1 FOR UPDATE',
+    [transactionId]
+  );
+  const transaccion = result.rows[0];
+  const { metodo_pago: metodoPago } = transaccion;
+  const montoTotal = parseFloat(transaccion.monto);
+  
+  if (transaccion.estado !== 'PROCESANDO') {
+    return registrarCobroTardio(client, transaccion, cobro);
+  }
+  
+  const expiraEn = cobro.estado === 'PENDIENTE' ? new Date(Date.now() + PAGO_PENDIENTE_TTL_MS) : null;
+  await client.query(
+    `UPDATE transacciones
+     SET estado = $1, referencia_externa = $2, motivo = $3, expira_en = $4, updated_at = NOW()
+     WHERE transaction_id = $5`,
+    [cobro.estado, cobro.referencia, cobro.motivo, expiraEn, transactionId]
+  );
+  client.alConfirmar(() => pagosProcesados.inc({ metodo: metodoPago, resultado: cobro.estado }));
+  
+  if (cobro.estado === 'PENDIENTE') {
+    logger.info('Pago pendiente de confirmación', { sagaId, transactionId, metodoPago, expiraEn });
+    return { aprobado: false, pendiente: true, transactionId, montoTotal };
   }
+  
+  if (cobro.estado === 'APROBADA') {
+    logger.info('Pago procesado exitosamente', { 
+      sagaId, 
+      transactionId, 
+      monto: montoTotal,
+      metodoPago,
+      referencia: cobro.referencia
+    });
+    return { aprobado: true, montoTotal };
+  }
+  
+  logger.warn('Pago rechazado por la pasarela', { sagaId, transactionId, motivo: cobro.motivo });
+  return { aprobado: false, montoTotal, razon: cobro.razon, error: cobro.motivo };
 }
 
-async function procesarPago(sagaId, payload) {
-  const transactionId = uuidv4();
-  const { productoId, cantidad, metodoPago } = payload;
+// Respuesta de la pasarela para una transacción que la compensación ya canceló. La
+// referencia se guarda: si un pago pendiente se aprueba después, el webhook lo reembolsa.
+async function registrarCobroTardio(client, transaccion, cobro) {
+  const { transaction_id: transactionId, saga_id: sagaId } = transaccion;
+  await client.query(
+    'UPDATE transacciones SET referencia_externa = $1, updated_at = NOW() WHERE transaction_id = $2',
+    [cobro.referencia, transactionId]
+  );
   
+  if (cobro.estado === 'APROBADA') {
+    const { reembolso } = await reembolsos.reembolsar(client, { ...transaccion, referencia_externa: cobro.referencia }, {
+      motivo: `Pago aprobado con la transacción ${transaccion.estado.toLowerCase()}`,
+      origen: 'PAGO_TARDIO'
+    });
+    await client.query(
+      'UPDATE transacciones SET estado = $1, updated_at = NOW() WHERE transaction_id = $2',
+      ['REVERTIDA', transactionId]
+    );
+    logger.warn('Cobro aprobado tras cancelarse la transacción, reembolsado', {
+      sagaId,
+      transactionId,
+      estadoAnterior: transaccion.estado,
+      reembolsoId: reembolso.reembolso_id
+    });
+  }
+  
+  return {
+    aprobado: false,
+    montoTotal: parseFloat(transaccion.monto),
+    error: `Transacción ${transaccion.estado.toLowerCase()} antes de la respuesta de la pasarela`
+  };
+}
+
+async function metodoDisponible(client, metodoPago) {
+  if (!gateways.gatewayPara(metodoPago)) return false;
+  
+  const result = await client.query(
+    'SELECT 1 FROM metodos_pago WHERE tipo = $1 AND activo = true',
+    [metodoPago]
+  );
+  return result.rows.length > 0;
+}
+
+// Cobro en la pasarela del método. Un timeout no es un rechazo: el cobro pudo haberse
+// hecho. Como cualquier otro error de la pasarela, se propaga: la transacción sigue
+// PROCESANDO y el mensaje se reintenta con el mismo transactionId.
+async function cobrarEnPasarela(transaccion, datosPago) {
+  const { transaction_id: transactionId, metodo_pago: metodoPago } = transaccion;
+  return gateways.cobrar(metodoPago, { transactionId, monto: parseFloat(transaccion.monto), datosPago });
+}
+
+// Total combinado de las líneas, con los precios cotizados
+function calcularMonto(items) {
+  const total = items.reduce((suma, item) => suma + item.precioUnitario * item.cantidad, 0);
+  return Math.round(total * 100) / 100;
+}
+
+// Comparar el precio cotizado de cada línea con el vigente en el catálogo. Si el
+// catálogo no responde, el error se propaga y el pago falla.
+async function preciosCambiados(items) {
+  const vigentes = await Promise.all(items.map((item) => obtenerPrecio(item.productoId)));
+  
+  return items
+    .map((item, i) => ({ productoId: item.productoId, cotizado: item.precioUnitario, vigente: vigentes[i] }))
+    .filter((linea) => linea.vigente !== linea.cotizado);
+}
+
+// Revertir el pago aprobado de la saga, o cancelar el que sigue pendiente. Retorna el
+// detalle para la respuesta a pedidos.
+async function compensarPago(client, sagaId) {
   try {
-    // Simular validación de método de pago
-    const metodosValidos = ['tarjeta_credito', 'tarjeta_debito', 'pse', 'efectivo'];
-    if (!metodosValidos.includes(metodoPago)) {
-      logger.warn('Método de pago no válido', { metodoPago, sagaId });
-      return false;
+    // Buscar transacción aprobada (quizá con reembolsos parciales), pendiente o con el
+    // cobro en curso
+    const result = await client.query(
+      'SELECT * FROM transacciones WHERE saga_id = $1 AND estado IN ($2, $3, $4, $5) FOR UPDATE',
+      [sagaId, 'APROBADA', 'REEMBOLSO_PARCIAL', 'PENDIENTE', 'PROCESANDO']
+    );
+    
+    if (result.rows.length === 0) {
+      return { montoRevertido: 0, motivo: 'Sin pago aprobado para la saga' };
     }
     
-    // Obtener precio del producto (simulado)
-    const precio = await obtenerPrecioProducto(productoId);
-    const montoTotal = precio * cantidad;
+    const transaccion = result.rows[0];
     
-    // Simular procesamiento de pago (90% éxito, 10% falla)
-    const exitoso = Math.random() > 0.1;
+    // Si la pasarela lo aprueba después, se reembolsa (webhook o registro del cobro)
+    if (['PENDIENTE', 'PROCESANDO'].includes(transaccion.estado)) {
+      await client.query(
+        'UPDATE transacciones SET estado = $1, updated_at = NOW() WHERE transaction_id = $2',
+        ['CANCELADA', transaccion.transaction_id]
+      );
+      logger.info('Pago pendiente cancelado por compensación', { sagaId, transactionId: transaccion.transaction_id });
+      return { transactionId: transaccion.transaction_id, montoRevertido: 0, motivo: 'Pago pendiente cancelado' };
+    }
     
-    // Guardar transacción en base de datos
-    await pool.query(
-      'INSERT INTO transacciones (transaction_id, saga_id, monto, metodo_pago, estado, referencia_externa) VALUES ($1, $2, $3, $4, $5, $6)',
-      [transactionId, sagaId, montoTotal, metodoPago, exitoso ? 'APROBADA' : 'RECHAZADA', `REF-${Date.now()}`]
+    // Reembolso en la pasarela que hizo el cobro, por el saldo aún no reembolsado
+    const { reembolso } = await reembolsos.reembolsar(client, transaccion, {
+      motivo: 'Compensación de la saga',
+      origen: 'COMPENSACION'
+    });
+    
+    await client.query(
+      'UPDATE transacciones SET estado = $1, updated_at = NOW() WHERE transaction_id = $2',
+      ['REVERTIDA', transaccion.transaction_id]
     );
     
-    if (exitoso) {
-      logger.info('Pago procesado exitosamente', { 
-        sagaId, 
-        transactionId, 
-        monto: montoTotal,
-        metodoPago 
-      });
-    } else {
-      logger.warn('Pago rechazado por simulación', { sagaId, transactionId });
-    }
+    logger.info('Pago revertido por compensación', { 
+      sagaId, 
+      transactionId: transaccion.transaction_id,
+      monto: reembolso.monto,
+      reembolsoId: reembolso.reembolso_id
+    });
     
-    return exitoso;
+    return {
+      transactionId: transaccion.transaction_id,
+      montoRevertido: parseFloat(reembolso.monto),
+      reembolsoId: reembolso.reembolso_id
+    };
     
   } catch (error) {
-    logger.error('Error procesando pago', error);
-    return false;
+    logger.error('Error compensando pago', error);
+    throw error;
   }
 }
 
-async function obtenerPrecioProducto(productoId) {
-  // Simulación de precios (en producción consultaría el servicio de catálogo)
-  const precios = {
-    1: 450000.00, // Cartagena
-    2: 180000.00, // Cocora
-    3: 85000.00,  // Bogotá
-    4: 890000.00  // San Andrés
-  };
+// Resultado final de un pago pendiente notificado por la pasarela. Retorna
+// { transactionId, estado } o null si la referencia no existe.
+async function confirmarPagoPendiente(client, referencia, estado, motivo) {
+  const result = await client.query(
+    'SELECT * FROM transacciones WHERE referencia_externa = $1 FOR UPDATE',
+    [referencia]
+  );
+  if (result.rows.length === 0) return null;
+  
+  const transaccion = result.rows[0];
+  const { transaction_id: transactionId, saga_id: sagaId } = transaccion;
   
-  return precios[productoId] || 100000.00;
+  if (transaccion.estado === 'PENDIENTE') {
+    await client.query(
+      'UPDATE transacciones SET estado = $1, motivo = $2, expira_en = NULL, updated_at = NOW() WHERE transaction_id = $3',
+      [estado, motivo || null, transactionId]
+    );
+    client.alConfirmar(() => pagosProcesados.inc({ metodo: transaccion.metodo_pago, resultado: estado }));
+    
+    // Reanuda la saga, que espera PAGO_PROCESADO en el paso PROCESAR_PAGO
+    await enviarRespuesta(client, sagaId, 'PAGO_PROCESADO', estado === 'APROBADA', {
+      transactionId,
+      montoTotal: parseFloat(transaccion.monto),
+      error: estado === 'APROBADA' ? undefined : (motivo || 'Pago rechazado por la pasarela')
+    });
+    logger.info('Pago pendiente confirmado por la pasarela', { sagaId, transactionId, estado });
+    return { transactionId, estado };
+  }
+  
+  // Aprobado después de expirar o de que la saga lo cancelara: se devuelve el dinero
+  if (estado === 'APROBADA' && ['EXPIRADA', 'CANCELADA'].includes(transaccion.estado)) {
+    const { reembolso } = await reembolsos.reembolsar(client, transaccion, {
+      motivo: `Pago aprobado con la transacción ${transaccion.estado.toLowerCase()}`,
+      origen: 'PAGO_TARDIO'
+    });
+    await client.query(
+      'UPDATE transacciones SET estado = $1, updated_at = NOW() WHERE transaction_id = $2',
+      ['REVERTIDA', transactionId]
+    );
+    logger.warn('Pago aprobado tras expirar o cancelarse, reembolsado', {
+      sagaId,
+      transactionId,
+      estadoAnterior: transaccion.estado,
+      reembolsoId: reembolso.reembolso_id
+    });
+    return { transactionId, estado: 'REVERTIDA' };
+  }
+  
+  // Notificación repetida o sin efecto
+  return { transactionId, estado: transaccion.estado };
 }
 
-async function compensarPago(sagaId) {
+// Reembolso de un pago aprobado, total o parcial, solicitado por un operador o por la
+// saga de cancelación. Al completar el reembolso de un operador se notifica a pedidos
+// (la saga de cancelación recibe su propia respuesta). Retorna null si la transacción
+// no existe, { error } si no se puede reembolsar o { reembolso, saldo, estado }.
+async function reembolsarTransaccion(client, transactionId, { monto, motivo, usuarioId = null, origen = 'SOLICITUD', sagaId = null }) {
+  const result = await client.query(
+    'SELECT * FROM transacciones WHERE transaction_id = $1 FOR UPDATE',
+    [transactionId]
+  );
+  if (result.rows.length === 0) return null;
+  
+  const transaccion = result.rows[0];
+  if (!['APROBADA', 'REEMBOLSO_PARCIAL'].includes(transaccion.estado)) {
+    return { error: `No se puede reembolsar una transacción ${transaccion.estado}` };
+  }
+  
+  // La cancelación reembolsa lo que permita el saldo si ya hubo reembolsos parciales
+  const resultado = await reembolsos.reembolsar(client, transaccion, {
+    monto,
+    motivo,
+    origen,
+    usuarioId,
+    sagaId,
+    ajustarAlSaldo: origen === 'CANCELACION'
+  });
+  if (resultado.error) return resultado;
+  
+  const { reembolso, saldo } = resultado;
+  const estado = saldo === 0 ? 'REEMBOLSADA' : 'REEMBOLSO_PARCIAL';
+  await client.query(
+    'UPDATE transacciones SET estado = $1, updated_at = NOW() WHERE transaction_id = $2',
+    [estado, transactionId]
+  );
+  
+  if (estado === 'REEMBOLSADA' && origen === 'SOLICITUD') {
+    await enviarRespuesta(client, transaccion.saga_id, 'PAGO_REEMBOLSADO', true, {
+      transactionId,
+      montoReembolsado: parseFloat(transaccion.monto),
+      motivo
+    });
+  }
+  
+  logger.info('Reembolso registrado', {
+    sagaId: transaccion.saga_id,
+    transactionId,
+    monto: reembolso.monto,
+    saldo,
+    estado,
+    reembolsoId: reembolso.reembolso_id
+  });
+  
+  return { reembolso, saldo, estado };
+}
+
+// Reembolso de la saga de cancelación sobre el pago de la saga de reserva, por el monto
+// que fijó la política de cancelación. Un reintento del orquestador devuelve el
+// reembolso ya registrado para la saga. Retorna { reembolsado, ... }.
+async function reembolsarCancelacion(client, sagaId, payload) {
+  const { sagaReserva, montoReembolso, motivo } = payload;
+  
+  const previo = await client.query(
+    'SELECT transaction_id, monto, reembolso_id FROM reembolsos WHERE saga_id = $1',
+    [sagaId]
+  );
+  if (previo.rows.length > 0) {
+    const { transaction_id: transactionId, monto, reembolso_id: reembolsoId } = previo.rows[0];
+    logger.info('Reembolso ya registrado para la saga', { sagaId, transactionId });
+    return { reembolsado: true, transactionId, montoReembolsado: parseFloat(monto), reembolsoId };
+  }
+  
+  const pago = await client.query(
+    'SELECT transaction_id FROM transacciones WHERE saga_id = $1 AND estado IN ($2, $3)',
+    [sagaReserva, 'APROBADA', 'REEMBOLSO_PARCIAL']
+  );
+  // Política sin reembolso, o pago ya reembolsado por completo
+  if (pago.rows.length === 0 || !(montoReembolso > 0)) {
+    return { reembolsado: true, montoReembolsado: 0, motivo: 'Sin monto a reembolsar' };
+  }
+  
+  const transactionId = pago.rows[0].transaction_id;
+  const resultado = await reembolsarTransaccion(client, transactionId, {
+    monto: montoReembolso,
+    motivo,
+    origen: 'CANCELACION',
+    sagaId
+  });
+  if (!resultado || resultado.error) {
+    return { reembolsado: false, transactionId, error: resultado ? resultado.error : 'Transacción no encontrada' };
+  }
+  
+  return {
+    reembolsado: true,
+    transactionId,
+    montoReembolsado: parseFloat(resultado.reembolso.monto),
+    reembolsoId: resultado.reembolso.reembolso_id
+  };
+}
+
+// Worker: los pagos que la pasarela no confirmó a tiempo expiran y la saga se compensa
+let expiracionEnCurso = false;
+
+async function expirarPagosPendientes() {
+  if (expiracionEnCurso) return;
+  expiracionEnCurso = true;
+  
   try {
-    // Buscar transacción aprobada para esta saga
-    const result = await pool.query(
-      'SELECT * FROM transacciones WHERE saga_id = $1 AND estado = $2',
-      [sagaId, 'APROBADA']
+    const vencidos = await pool.query(
+      `SELECT transaction_id FROM transacciones
+       WHERE estado = 'PENDIENTE' AND expira_en < NOW()
+       ORDER BY expira_en LIMIT 50`
     );
     
-    if (result.rows.length > 0) {
-      const transaccion = result.rows[0];
-      
-      // Simular reversión del pago
-      await pool.query(
-        'UPDATE transacciones SET estado = $1 WHERE transaction_id = $2',
-        ['REVERTIDA', transaccion.transaction_id]
-      );
-      
-      logger.info('Pago revertido por compensación', { 
-        sagaId, 
-        transactionId: transaccion.transaction_id,
-        monto: transaccion.monto
-      });
+    for (const { transaction_id: transactionId } of vencidos.rows) {
+      try {
+        await ejecutarEnTransaccion(async (client) => {
+          // SKIP LOCKED: un webhook puede estar confirmándolo en este momento
+          const result = await client.query(
+            `SELECT saga_id, monto, metodo_pago FROM transacciones
+             WHERE transaction_id = $1 AND estado = 'PENDIENTE' AND expira_en < NOW()
+             FOR UPDATE SKIP LOCKED`,
+            [transactionId]
+          );
+          if (result.rows.length === 0) return;
+          
+          const { saga_id: sagaId, monto, metodo_pago: metodoPago } = result.rows[0];
+          await client.query(
+            'UPDATE transacciones SET estado = $1, motivo = $2, updated_at = NOW() WHERE transaction_id = $3',
+            ['EXPIRADA', 'Sin confirmación de la pasarela', transactionId]
+          );
+          client.alConfirmar(() => pagosProcesados.inc({ metodo: metodoPago, resultado: 'EXPIRADA' }));
+          await enviarRespuesta(client, sagaId, 'PAGO_PROCESADO', false, {
+            transactionId,
+            montoTotal: parseFloat(monto),
+            razon: 'PAGO_EXPIRADO',
+            error: 'Pago pendiente sin confirmación de la pasarela'
+          });
+          logger.warn('Pago pendiente expirado', { sagaId, transactionId });
+        });
+      } catch (error) {
+        logger.error('Error expirando pago pendiente', { transactionId, error: error.message });
+      }
     }
-    
   } catch (error) {
-    logger.error('Error compensando pago', error);
-    throw error;
+    logger.error('Error expirando pagos pendientes', error);
+  } finally {
+    expiracionEnCurso = false;
   }
 }
 
-async function enviarRespuesta(sagaId, evento, success, payload) {
+// Registrar respuesta en el outbox (dentro de la transacción del client)
+async function enviarRespuesta(client, sagaId, evento, success, payload) {
   const response = {
     sagaId,
     evento,
@@ -162,49 +655,238 @@ async function enviarRespuesta(sagaId, evento, success, payload) {
     servicio: 'pagos'
   };
   
-  await channel.sendToQueue('pedidos_responses', Buffer.from(JSON.stringify(response)));
-  logger.info('Respuesta enviada', { sagaId, evento, success });
+  await guardarEnOutbox(client, response);
+  logger.info('Respuesta registrada en outbox', { sagaId, evento, success });
 }
 
+// Webhook de la pasarela con el resultado final de un pago pendiente (PSE, efectivo).
+// Solo usa PostgreSQL (la respuesta a la Saga queda en el outbox) y queda fuera de la
+// readiness: la pasarela no reintenta para siempre y el resultado no se pierde aunque
+// RabbitMQ no esté disponible
+app.post('/webhooks/pasarela', (req, res, next) => {
+  // La firma se verifica antes de validar el cuerpo
+  if (!verificarFirma(req)) {
+    logger.warn('Webhook de pasarela con firma inválida');
+    return enviarError(res, CodigoError.FIRMA_INVALIDA);
+  }
+  next();
+}, validarBody(ESQUEMA_WEBHOOK), async (req, res) => {
+  const { referencia, estado, motivo } = req.body;
+  
+  try {
+    const resultado = await ejecutarEnTransaccion((client) =>
+      confirmarPagoPendiente(client, referencia, estado, motivo)
+    );
+    if (!resultado) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Transacción no encontrada');
+    }
+    res.json(resultado);
+  } catch (error) {
+    logger.error('Error procesando webhook de pasarela', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Sin sus dependencias el servicio responde 503 (salvo las sondas y las métricas)
+app.use(sondas.exigirPreparado);
+
 // Endpoints REST para consultas
-app.get('/transacciones/:sagaId', async (req, res) => {
+app.get('/transacciones/:sagaId', authenticateToken, validarParams(ESQUEMA_ID_SAGA), async (req, res) => {
   try {
     const { sagaId } = req.params;
     const result = await pool.query(
-      'SELECT * FROM transacciones WHERE saga_id = $1',
+      `SELECT t.*,
+              (SELECT COALESCE(SUM(r.monto), 0) FROM reembolsos r WHERE r.transaction_id = t.transaction_id) AS monto_reembolsado
+       FROM transacciones t WHERE t.saga_id = $1`,
       [sagaId]
     );
-    res.json(result.rows);
+    
+    // Un cliente solo ve las transacciones de sus propios pedidos
+    res.json(result.rows.filter((transaccion) => puedeAcceder(req.user, transaccion.usuario_id)));
   } catch (error) {
     logger.error('Error consultando transacciones', error);
-    res.status(500).json({ error: 'Error interno' });
+    enviarError(res, CodigoError.ERROR_INTERNO);
   }
 });
 
-app.get('/metodos-pago', async (req, res) => {
+app.post('/transacciones/:transactionId/reembolsos', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_TRANSACCION), validarBody(ESQUEMA_REEMBOLSO), async (req, res) => {
+  const { monto, motivo } = req.body;
+  
+  try {
+    const resultado = await ejecutarEnTransaccion((client) =>
+      reembolsarTransaccion(client, req.params.transactionId, {
+        monto,
+        motivo,
+        usuarioId: req.user.userId
+      })
+    );
+    
+    if (!resultado) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Transacción no encontrada');
+    }
+    if (resultado.error) {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, resultado.error);
+    }
+    res.status(201).json(resultado);
+  } catch (error) {
+    logger.error('Error registrando reembolso', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+app.get('/transacciones/:transactionId/reembolsos', authenticateToken, validarParams(ESQUEMA_ID_TRANSACCION), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const result = await pool.query(
+      'SELECT usuario_id FROM transacciones WHERE transaction_id = $1',
+      [transactionId]
+    );
+    
+    // La transacción de otro usuario se trata como inexistente
+    if (result.rows.length === 0 || !puedeAcceder(req.user, result.rows[0].usuario_id)) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Transacción no encontrada');
+    }
+    
+    res.json(await reembolsos.listarReembolsos(pool, transactionId));
+  } catch (error) {
+    logger.error('Error consultando reembolsos', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+app.get('/metodos-pago', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM metodos_pago WHERE activo = true');
     res.json(result.rows);
   } catch (error) {
     logger.error('Error consultando métodos de pago', error);
-    res.status(500).json({ error: 'Error interno' });
+    enviarError(res, CodigoError.ERROR_INTERNO);
   }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', service: 'pagos', timestamp: new Date().toISOString() });
+// Administración de la DLQ (mensajes que agotaron sus reintentos)
+app.get('/admin/dlq', authenticateToken, requireAdmin, validarQuery(ESQUEMA_LISTADO_DLQ), async (req, res) => {
+  try {
+    const mensajes = await listarFallidos(req.query.estado);
+    res.json(mensajes);
+  } catch (error) {
+    logger.error('Error consultando DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+app.get('/admin/dlq/:id', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    res.json(fallido);
+  } catch (error) {
+    logger.error('Error consultando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
 });
 
+app.post('/admin/dlq/:id/reprocesar', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    if (fallido.estado !== 'PENDIENTE') {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, `Mensaje ya ${fallido.estado.toLowerCase()}`);
+    }
+    
+    const channel = canalActual();
+    if (!channel) {
+      return enviarError(res, CodigoError.SERVICIO_NO_DISPONIBLE, 'RabbitMQ no disponible');
+    }
+    
+    await reprocesarFallido(channel, fallido);
+    res.json({ id: fallido.id, estado: 'REPROCESADO' });
+  } catch (error) {
+    logger.error('Error reprocesando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+app.delete('/admin/dlq/:id', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), validarBody(ESQUEMA_DESCARTE), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    if (fallido.estado !== 'PENDIENTE') {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, `Mensaje ya ${fallido.estado.toLowerCase()}`);
+    }
+    
+    await descartarFallido(fallido, req.body.motivo);
+    res.json({ id: fallido.id, estado: 'DESCARTADO' });
+  } catch (error) {
+    logger.error('Error descartando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Sondas de salud: liveness y readiness (/health es la readiness)
+app.get('/health/live', sondas.vivo);
+app.get('/health/ready', sondas.preparado);
+app.get('/health', sondas.preparado);
+
+// Métricas para Prometheus
+app.get('/metrics', exponerMetricas);
+
+// Errores en el formato común: rutas inexistentes, JSON mal formado y no capturados
+app.use(rutaNoEncontrada);
+app.use(manejarErrores);
+
+// Las caídas de PostgreSQL y RabbitMQ no detienen el servicio: el pool abre conexiones
+// nuevas, RabbitMQ se reconecta y, mientras tanto, la readiness responde 503
 async function initialize() {
   try {
-    await connectRabbitMQ();
+    await conectarRabbitMQ(registrarConsumidores);
+    
+    // Relay del outbox: publica las respuestas pendientes en RabbitMQ
+    repetir(() => publicarPendientes(canalActual()), OUTBOX_INTERVAL_MS);
+    
+    // Borrar los mensajes enviados del outbox y los procesados más antiguos del inbox
+    repetir(limpiarOutbox, LIMPIEZA_INTERVAL_MS);
+    repetir(limpiarInbox, LIMPIEZA_INTERVAL_MS);
+    
+    // Expirar los pagos pendientes vencidos, también los que vencieron con el servicio caído
+    await expirarPagosPendientes();
+    repetir(expirarPagosPendientes, PAGOS_PENDIENTES_INTERVAL_MS);
+    
+    // Enviar a la pasarela los reembolsos registrados que no alcanzaron a enviarse
+    await reembolsos.enviarPendientes();
+    repetir(reembolsos.enviarPendientes, REEMBOLSOS_PENDIENTES_INTERVAL_MS);
+    
+    // Primera verificación de las dependencias antes de aceptar solicitudes
+    await sondas.iniciar();
     
     const PORT = process.env.PORT || 3003;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`Servicio de Pagos ejecutándose en puerto ${PORT}`);
     });
     
+    // SIGTERM: rechazar solicitudes nuevas, dejar de consumir y esperar los mensajes
+    // y solicitudes en curso; publicar lo que dejaron en el outbox y cerrar conexiones
+    instalarApagado(logger, [
+      ['readiness', () => sondas.detener()],
+      ['consumidores', async () => {
+        const channel = canalActual();
+        if (channel) await cancelarConsumidores(channel);
+        await esperarMensajesEnCurso();
+      }],
+      ['http', () => cerrarServidor(server)],
+      ['workers', detenerTemporizadores],
+      ['outbox', () => publicarPendientes(canalActual())],
+      ['rabbitmq', cerrarRabbitMQ],
+      ['postgres', () => pool.end()],
+      ['trazas', cerrarTrazas]
+    ]);
+    
   } catch (error) {
     logger.error('Error inicializando servicio', error);
     process.exit(1);
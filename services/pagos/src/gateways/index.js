@@ -0,0 +1,56 @@
+// services/pagos/src/gateways/index.js
+// Adaptadores de pasarela de pago por método. Cada adaptador expone:
+//   cobrar({ transactionId, monto, metodoPago, datosPago })
+//     -> { estado: 'APROBADA' | 'RECHAZADA' | 'PENDIENTE', referencia, motivo }
+//   reembolsar({ transactionId, reembolsoId, referencia, monto })
+//     -> { referencia }
+// transactionId y reembolsoId (uno por reembolso, que puede ser parcial) se envían como
+// clave de idempotencia ante la pasarela. Ambos se registran antes de llamarla, así un
+// reintento repite la misma clave.
+const mock = require('./mock');
+
+const GATEWAY_TIMEOUT_MS = parseInt(process.env.GATEWAY_TIMEOUT_MS) || 5000;
+
+const ADAPTADORES = { mock };
+
+// Adaptador de cada método (p. ej. GATEWAY_PSE=mock); todos usan el mock por defecto
+const METODOS_PAGO = ['tarjeta_credito', 'tarjeta_debito', 'pse', 'efectivo'];
+const GATEWAY_DE_METODO = Object.fromEntries(
+  METODOS_PAGO.map((metodo) => [metodo, process.env[`GATEWAY_${metodo.toUpperCase()}`] || 'mock'])
+);
+
+function gatewayPara(metodoPago) {
+  return ADAPTADORES[GATEWAY_DE_METODO[metodoPago]];
+}
+
+// La pasarela no respondió a tiempo: el resultado del cobro es desconocido
+function conTimeout(promesa, operacion) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timeout de la pasarela en ${operacion}`);
+      error.code = 'TIMEOUT';
+      reject(error);
+    }, GATEWAY_TIMEOUT_MS);
+  });
+  
+  return Promise.race([promesa, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function cobrar(metodoPago, solicitud) {
+  const gateway = gatewayPara(metodoPago);
+  if (!gateway) {
+    throw new Error(`Sin pasarela para el método de pago ${metodoPago}`);
+  }
+  return conTimeout(gateway.cobrar({ ...solicitud, metodoPago }), 'cobro');
+}
+
+async function reembolsar(metodoPago, solicitud) {
+  const gateway = gatewayPara(metodoPago);
+  if (!gateway) {
+    throw new Error(`Sin pasarela para el método de pago ${metodoPago}`);
+  }
+  return conTimeout(gateway.reembolsar(solicitud), 'reembolso');
+}
+
+module.exports = { METODOS_PAGO, gatewayPara, cobrar, reembolsar };
@@ -0,0 +1,74 @@
+// services/pagos/src/gateways/mock.js
+// Pasarela local para desarrollo y pruebas. El resultado del cobro depende del número
+// de tarjeta de prueba, así ambos caminos de la Saga son reproducibles:
+//   4111111111111111, 5555555555554444  -> APROBADA
+//   4000000000000002                    -> RECHAZADA (tarjeta declinada)
+//   4000000000009995                    -> RECHAZADA (fondos insuficientes)
+//   4000000000000259                    -> PENDIENTE
+//   4000000000000119                    -> sin respuesta (timeout)
+// PSE y efectivo quedan PENDIENTE: el resultado final se envía al webhook de pagos
+// (scripts/simular-webhook.sh). Otras tarjetas usan MOCK_GATEWAY_RESULTADO.
+const crypto = require('crypto');
+
+const MOCK_GATEWAY_RESULTADO = process.env.MOCK_GATEWAY_RESULTADO || 'APROBADA';
+const MOCK_GATEWAY_LATENCIA_MS = parseInt(process.env.MOCK_GATEWAY_LATENCIA_MS) || 200;
+
+const TARJETAS_PRUEBA = {
+  '4111111111111111': { estado: 'APROBADA' },
+  '5555555555554444': { estado: 'APROBADA' },
+  '4000000000000002': { estado: 'RECHAZADA', motivo: 'Tarjeta declinada' },
+  '4000000000009995': { estado: 'RECHAZADA', motivo: 'Fondos insuficientes' },
+  '4000000000000259': { estado: 'PENDIENTE' },
+  '4000000000000119': { estado: 'TIMEOUT' }
+};
+
+// Como una pasarela real, repetir la solicitud con la misma clave de idempotencia
+// devuelve el resultado original en vez de cobrar o reembolsar otra vez
+const cobros = new Map();
+const reembolsos = new Map();
+
+function esperar(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Métodos que la pasarela confirma de forma asíncrona
+const METODOS_ASINCRONOS = ['pse', 'efectivo'];
+
+function resultadoDe(metodoPago, datosPago) {
+  if (METODOS_ASINCRONOS.includes(metodoPago)) return { estado: 'PENDIENTE' };
+  
+  const numero = datosPago && datosPago.numeroTarjeta;
+  return TARJETAS_PRUEBA[numero] || { estado: MOCK_GATEWAY_RESULTADO };
+}
+
+async function cobrar({ transactionId, metodoPago, datosPago }) {
+  if (cobros.has(transactionId)) return cobros.get(transactionId);
+  
+  const resultado = resultadoDe(metodoPago, datosPago);
+  if (resultado.estado === 'TIMEOUT') {
+    // Nunca responde; el adaptador corta por GATEWAY_TIMEOUT_MS
+    return new Promise(() => {});
+  }
+  
+  await esperar(MOCK_GATEWAY_LATENCIA_MS);
+  
+  if (!cobros.has(transactionId)) {
+    cobros.set(transactionId, {
+      estado: resultado.estado,
+      referencia: `MOCK-${crypto.randomUUID()}`,
+      motivo: resultado.motivo || null
+    });
+  }
+  return cobros.get(transactionId);
+}
+
+async function reembolsar({ reembolsoId }) {
+  await esperar(MOCK_GATEWAY_LATENCIA_MS);
+  
+  if (!reembolsos.has(reembolsoId)) {
+    reembolsos.set(reembolsoId, { referencia: `MOCK-RF-${crypto.randomUUID()}` });
+  }
+  return reembolsos.get(reembolsoId);
+}
+
+module.exports = { cobrar, reembolsar };
@@ -0,0 +1,38 @@
+// services/pagos/src/instrumentacion.js
+// Trazas OpenTelemetry del servicio. Se carga en la primera línea de app.js, antes que
+// express, http y pg, para que las instrumentaciones alcancen a envolverlos. Los spans
+// se exportan por OTLP a OTEL_EXPORTER_OTLP_ENDPOINT (OTEL_TRACES_EXPORTER=none los
+// desactiva); el contexto viaja en formato W3C (traceparent y baggage) por HTTP y, con
+// utils/trazas.js, en las cabeceras de los mensajes de RabbitMQ.
+const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { PgInstrumentation } = require('@opentelemetry/instrumentation-pg');
+const { UndiciInstrumentation } = require('@opentelemetry/instrumentation-undici');
+
+// Health checks y scrapes de Prometheus no generan trazas
+const RUTAS_SIN_TRAZA = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+const sdk = new NodeSDK({
+  serviceName: 'pagos',
+  instrumentations: [
+    new HttpInstrumentation({
+      ignoreIncomingRequestHook: (req) => RUTAS_SIN_TRAZA.includes(req.url)
+    }),
+    new ExpressInstrumentation(),
+    // Solo las consultas dentro de una traza (solicitud o mensaje): los workers
+    // periódicos no abren trazas propias
+    new PgInstrumentation({ requireParentSpan: true }),
+    // fetch de Node: llamadas HTTP a los demás servicios
+    new UndiciInstrumentation()
+  ]
+});
+
+sdk.start();
+
+// Exportar los spans pendientes antes de salir
+function cerrarTrazas() {
+  return sdk.shutdown();
+}
+
+module.exports = { cerrarTrazas };
@@ -0,0 +1,60 @@
+// services/pagos/src/utils/apagado.js
+// Apagado ordenado con SIGTERM (docker stop) o SIGINT. Los pasos corren en orden y un
+// paso que falla no detiene a los siguientes. Si el apagado no termina dentro de
+// APAGADO_PLAZO_MS, el proceso sale igual: el plazo debe quedar por debajo del que
+// da el orquestador antes de matar el proceso (10 s por defecto en docker stop).
+const PLAZO_APAGADO_MS = parseInt(process.env.APAGADO_PLAZO_MS) || 8000;
+
+const temporizadores = [];
+
+// setInterval que el apagado detiene antes de cerrar las conexiones
+function repetir(fn, ms) {
+  const temporizador = setInterval(fn, ms);
+  temporizadores.push(temporizador);
+  return temporizador;
+}
+
+function detenerTemporizadores() {
+  temporizadores.forEach(clearInterval);
+}
+
+// Dejar de aceptar conexiones y esperar a que terminen las solicitudes en curso; las
+// conexiones keep-alive inactivas se cierran de inmediato
+function cerrarServidor(server) {
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    server.closeIdleConnections();
+  });
+}
+
+// pasos: [[nombre, async () => {}], ...] en el orden en que deben correr
+function instalarApagado(logger, pasos) {
+  let apagando = false;
+  
+  async function apagar(senal) {
+    if (apagando) return;
+    apagando = true;
+    logger.info('Apagando servicio', { senal, plazoMs: PLAZO_APAGADO_MS });
+    
+    setTimeout(() => {
+      logger.error('Apagado forzado: se venció el plazo', { plazoMs: PLAZO_APAGADO_MS });
+      process.exit(1);
+    }, PLAZO_APAGADO_MS).unref();
+    
+    for (const [nombre, paso] of pasos) {
+      try {
+        await paso();
+      } catch (error) {
+        logger.error('Error en el apagado', { paso: nombre, error: error.message });
+      }
+    }
+    
+    logger.info('Servicio detenido');
+    process.exit(0);
+  }
+  
+  process.once('SIGTERM', () => apagar('SIGTERM'));
+  process.once('SIGINT', () => apagar('SIGINT'));
+}
+
+module.exports = { repetir, detenerTemporizadores, cerrarServidor, instalarApagado };
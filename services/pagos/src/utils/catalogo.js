@@ -0,0 +1,29 @@
+// services/pagos/src/utils/catalogo.js
+// Cliente del servicio de catálogo, fuente autoritativa de los precios
+const { crearCircuitBreaker } = require('./circuitBreaker');
+
+const CATALOGO_URL = process.env.CATALOGO_URL || 'http://catalogo-service:3004';
+const CATALOGO_TIMEOUT_MS = parseInt(process.env.CATALOGO_TIMEOUT_MS) || 2000;
+
+const circuito = crearCircuitBreaker('catalogo');
+
+// Precio vigente del producto, o null si no existe o está inactivo. Lanza error si el
+// catálogo no responde a tiempo, falla o el circuito está abierto.
+async function obtenerPrecio(productoId) {
+  return circuito.ejecutar(async () => {
+    const respuesta = await fetch(`${CATALOGO_URL}/productos/${productoId}`, {
+      signal: AbortSignal.timeout(CATALOGO_TIMEOUT_MS)
+    });
+    
+    // Un producto inexistente es una respuesta válida, no cuenta como fallo del circuito
+    if (respuesta.status === 404) return null;
+    if (!respuesta.ok) {
+      throw new Error(`Catálogo respondió ${respuesta.status}`);
+    }
+    
+    const producto = await respuesta.json();
+    return parseFloat(producto.precio);
+  });
+}
+
+module.exports = { obtenerPrecio };
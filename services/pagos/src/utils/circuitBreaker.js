@@ -0,0 +1,56 @@
+// services/pagos/src/utils/circuitBreaker.js
+// Circuit breaker para llamadas a otros servicios. Tras umbralFallos fallos seguidos
+// el circuito se abre y las llamadas fallan de inmediato; pasado enfriamientoMs deja
+// pasar una llamada de prueba (semiabierto) que lo cierra si tiene éxito.
+const logger = require('./logger');
+
+const Estado = {
+  CERRADO: 'CERRADO',
+  ABIERTO: 'ABIERTO',
+  SEMIABIERTO: 'SEMIABIERTO'
+};
+
+function crearCircuitBreaker(nombre, { umbralFallos = 5, enfriamientoMs = 30000 } = {}) {
+  let estado = Estado.CERRADO;
+  let fallosSeguidos = 0;
+  let abiertoHasta = 0;
+  
+  function abrir() {
+    estado = Estado.ABIERTO;
+    abiertoHasta = Date.now() + enfriamientoMs;
+    logger.warn('Circuito abierto', { circuito: nombre, fallosSeguidos });
+  }
+  
+  async function ejecutar(fn) {
+    if (estado === Estado.ABIERTO) {
+      if (Date.now() < abiertoHasta) {
+        throw new Error(`Circuito abierto: ${nombre}`);
+      }
+      estado = Estado.SEMIABIERTO;
+    } else if (estado === Estado.SEMIABIERTO) {
+      // Ya hay una llamada de prueba en curso
+      throw new Error(`Circuito abierto: ${nombre}`);
+    }
+    
+    try {
+      const resultado = await fn();
+      if (estado === Estado.SEMIABIERTO) {
+        logger.info('Circuito cerrado', { circuito: nombre });
+      }
+      estado = Estado.CERRADO;
+      fallosSeguidos = 0;
+      return resultado;
+      
+    } catch (error) {
+      fallosSeguidos++;
+      if (estado === Estado.SEMIABIERTO || fallosSeguidos >= umbralFallos) {
+        abrir();
+      }
+      throw error;
+    }
+  }
+  
+  return { ejecutar, estado: () => estado };
+}
+
+module.exports = { crearCircuitBreaker };
@@ -0,0 +1,223 @@
+// services/pagos/src/utils/consumidor.js
+// Consumo de colas con reintentos: si el handler falla, el mensaje pasa a una cola de
+// espera con backoff exponencial; agotados los reintentos, o si el mensaje no se puede
+// leer o no tiene la forma de un mensaje de saga, termina en la DLQ del servicio.
+const logger = require('./logger');
+const { MAX_REINTENTOS, colaReintento, colaDLQ, retrasoReintento } = require('../config/messaging');
+const { guardarFallido } = require('./dlq');
+const { validar } = require('./validacion');
+const { mensajesConsumidos } = require('./metricas');
+const { consumirConTraza, marcarError } = require('./trazas');
+const { publicarConfirmado } = require('./rabbitmq');
+
+const ESPERA_DLQ_MS = 5000;
+
+// Colas con consumidor registrado en un canal abierto (para la readiness y el apagado)
+const consumidores = new Map();
+
+// Mensajes en proceso: el apagado espera a que terminen
+let enCurso = 0;
+let alTerminarEnCurso = [];
+
+function registrarConsumidor(channel, cola, { consumerTag }) {
+  consumidores.set(cola, consumerTag);
+  channel.once('close', () => consumidores.delete(cola));
+}
+
+// El broker canceló el consumidor (p. ej. la cola fue eliminada)
+function consumidorCancelado(cola) {
+  consumidores.delete(cola);
+  logger.error('Consumidor cancelado por el broker', { cola });
+}
+
+// Sobre común de comandos y respuestas; cada handler valida el payload de su evento
+const ESQUEMA_MENSAJE = {
+  sagaId: { tipo: 'uuid', requerido: true },
+  evento: { tipo: 'texto', requerido: true },
+  messageId: { tipo: 'uuid' },
+  success: { tipo: 'booleano' },
+  payload: { tipo: 'objeto' }
+};
+
+// Cabeceras propias del mensaje (sin el historial x-death que agrega RabbitMQ)
+function cabeceras(msg) {
+  const { 'x-death': _historial, ...headers } = msg.properties.headers || {};
+  return headers;
+}
+
+// Seguir la cuenta de mensajes en proceso mientras corre procesar
+async function enProceso(procesar) {
+  enCurso++;
+  try {
+    await procesar();
+  } finally {
+    enCurso--;
+    if (enCurso === 0) {
+      alTerminarEnCurso.forEach((resolve) => resolve());
+      alTerminarEnCurso = [];
+    }
+  }
+}
+
+// Reenviar a la cola de espera del siguiente intento. Se espera la confirmación del
+// broker antes del ack del original: si el canal se cae en medio, el original vuelve
+// a entregarse en lugar de perderse.
+async function programarReintento(channel, cola, msg, intento, error) {
+  await publicarConfirmado(channel, '', colaReintento(cola, intento), msg.content, {
+    persistent: true,
+    messageId: msg.properties.messageId,
+    headers: {
+      ...cabeceras(msg),
+      'x-reintentos': intento,
+      'x-routing-key-original': cabeceras(msg)['x-routing-key-original'] || msg.fields.routingKey,
+      'x-ultimo-error': error.message
+    }
+  });
+  
+  logger.warn('Mensaje programado para reintento', {
+    cola,
+    intento,
+    retrasoMs: retrasoReintento(intento),
+    messageId: msg.properties.messageId
+  });
+}
+
+async function enviarADLQ(channel, cola, msg, motivo) {
+  await publicarConfirmado(channel, '', colaDLQ(cola), msg.content, {
+    persistent: true,
+    messageId: msg.properties.messageId,
+    headers: {
+      ...cabeceras(msg),
+      'x-routing-key-original': cabeceras(msg)['x-routing-key-original'] || msg.fields.routingKey,
+      'x-ultimo-error': motivo
+    }
+  });
+  
+  logger.error('Mensaje enviado a la DLQ', { cola, motivo, messageId: msg.properties.messageId });
+}
+
+// El canal se cerró a mitad del procesamiento: sin ack, el broker vuelve a entregar el
+// mensaje en la siguiente conexión
+function canalPerdido(cola, msg, error) {
+  logger.warn('Mensaje sin confirmar por cierre del canal; se volverá a entregar', {
+    cola,
+    messageId: msg.properties.messageId,
+    error: error.message
+  });
+}
+
+// Consumir una cola: el mensaje siempre se confirma (ack) después de procesarse o de
+// quedar en una cola de reintento / DLQ, así un error nunca bloquea al consumidor. El
+// procesamiento continúa la traza de quien publicó el mensaje.
+async function consumirConReintentos(channel, cola, handler) {
+  const consumo = await channel.consume(cola, async (msg) => {
+    if (!msg) return consumidorCancelado(cola);
+    
+    await enProceso(() => consumirConTraza(cola, msg, (span) => procesarMensaje(channel, cola, handler, msg, span)))
+      .catch((error) => canalPerdido(cola, msg, error));
+  });
+  registrarConsumidor(channel, cola, consumo);
+  return consumo;
+}
+
+async function procesarMensaje(channel, cola, handler, msg, span) {
+  let event;
+  try {
+    event = JSON.parse(msg.content.toString());
+  } catch (error) {
+    await enviarADLQ(channel, cola, msg, `Mensaje ilegible: ${error.message}`);
+    mensajesConsumidos.inc({ cola, evento: 'ilegible', resultado: 'dlq' });
+    channel.ack(msg);
+    return;
+  }
+  
+  // Un mensaje mal formado falla igual en cada reintento: va directo a la DLQ
+  const { detalles } = validar(ESQUEMA_MENSAJE, event, { origen: 'mensaje' });
+  if (detalles.length > 0) {
+    await enviarADLQ(channel, cola, msg, `Mensaje inválido: ${detalles.map((d) => `${d.campo} ${d.mensaje}`).join('; ')}`);
+    mensajesConsumidos.inc({ cola, evento: 'invalido', resultado: 'dlq' });
+    channel.ack(msg);
+    return;
+  }
+  
+  span.setAttributes({ 'tuso.saga_id': event.sagaId, 'tuso.evento': event.evento });
+  
+  let resultado = 'ok';
+  try {
+    await handler(event, msg);
+  } catch (error) {
+    marcarError(span, error);
+    logger.error('Error en handler de mensaje', { cola, evento: event.evento, sagaId: event.sagaId, error: error.message });
+    
+    const intento = (cabeceras(msg)['x-reintentos'] || 0) + 1;
+    if (intento <= MAX_REINTENTOS) {
+      await programarReintento(channel, cola, msg, intento, error);
+      resultado = 'reintento';
+    } else {
+      await enviarADLQ(channel, cola, msg, error.message);
+      resultado = 'dlq';
+    }
+  }
+  
+  mensajesConsumidos.inc({ cola, evento: event.evento, resultado });
+  
+  channel.ack(msg);
+}
+
+// Mover los mensajes de la DLQ a la tabla mensajes_fallidos para la API de administración
+async function consumirDLQ(channel, cola) {
+  const consumo = await channel.consume(colaDLQ(cola), async (msg) => {
+    if (!msg) return consumidorCancelado(colaDLQ(cola));
+    
+    await enProceso(async () => {
+      try {
+        await guardarFallido(cola, msg);
+        channel.ack(msg);
+      } catch (error) {
+        // Sin base de datos el mensaje sigue en la DLQ; se reintenta más tarde
+        logger.error('Error guardando mensaje de la DLQ', error);
+        setTimeout(() => {
+          try {
+            channel.nack(msg);
+          } catch (errorCanal) {
+            canalPerdido(colaDLQ(cola), msg, errorCanal);
+          }
+        }, ESPERA_DLQ_MS);
+      }
+    }).catch((error) => canalPerdido(colaDLQ(cola), msg, error));
+  });
+  registrarConsumidor(channel, colaDLQ(cola), consumo);
+  return consumo;
+}
+
+// Readiness: la cola del servicio y su DLQ deben tener consumidor; lanza si falta alguno
+function verificarConsumidores(cola) {
+  const faltantes = [cola, colaDLQ(cola)].filter((nombre) => !consumidores.has(nombre));
+  if (faltantes.length > 0) {
+    throw new Error(`Sin consumidor en: ${faltantes.join(', ')}`);
+  }
+  return { colas: [cola, colaDLQ(cola)] };
+}
+
+// Apagado: dejar de recibir mensajes. Los ya entregados siguen procesándose; los que el
+// broker tenía en camino vuelven a la cola al cerrar el canal.
+async function cancelarConsumidores(channel) {
+  for (const [cola, consumerTag] of consumidores) {
+    await channel.cancel(consumerTag);
+    consumidores.delete(cola);
+  }
+}
+
+// Resuelve cuando no queda ningún mensaje en proceso
+function esperarMensajesEnCurso() {
+  if (enCurso === 0) return Promise.resolve();
+  return new Promise((resolve) => alTerminarEnCurso.push(resolve));
+}
+
+module.exports = {
+  consumirConReintentos,
+  consumirDLQ,
+  verificarConsumidores,
+  cancelarConsumidores,
+  esperarMensajesEnCurso
+};
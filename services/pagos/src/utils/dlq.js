@@ -0,0 +1,94 @@
+// services/pagos/src/utils/dlq.js
+// Mensajes fallidos (dead-letter): almacenamiento y operaciones de administración
+const { pool } = require('../config/database');
+const { SAGA_EXCHANGE } = require('../config/messaging');
+const logger = require('./logger');
+const { validar } = require('./validacion');
+const { publicarConfirmado } = require('./rabbitmq');
+
+// Campos del mensaje que se guardan en columnas propias
+const ESQUEMA_SOBRE = {
+  sagaId: { tipo: 'uuid' },
+  evento: { tipo: 'texto', maximo: 50 }
+};
+
+async function guardarFallido(cola, msg) {
+  const headers = msg.properties.headers || {};
+  const contenido = msg.content.toString();
+  
+  // El contenido puede ser ilegible o mal formado (por eso llegó a la DLQ): solo se
+  // guardan en columnas el sagaId y el evento válidos
+  let event = {};
+  try {
+    event = JSON.parse(contenido);
+  } catch (error) {
+    event = {};
+  }
+  const { valor: sobre, detalles } = validar(ESQUEMA_SOBRE, event);
+  const invalidos = new Set(detalles.map((detalle) => detalle.campo));
+  
+  await pool.query(
+    `INSERT INTO mensajes_fallidos
+       (message_id, cola, routing_key, saga_id, evento, contenido, headers, error, reintentos)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (message_id) WHERE estado = 'PENDIENTE' DO NOTHING`,
+    [
+      msg.properties.messageId || null,
+      cola,
+      headers['x-routing-key-original'] || msg.fields.routingKey,
+      (!invalidos.has('sagaId') && sobre.sagaId) || null,
+      (!invalidos.has('evento') && sobre.evento) || null,
+      contenido,
+      headers,
+      headers['x-ultimo-error'] || null,
+      headers['x-reintentos'] || 0
+    ]
+  );
+}
+
+async function listarFallidos(estado, limite = 100) {
+  const result = await pool.query(
+    `SELECT id, message_id, cola, routing_key, saga_id, evento, error, reintentos, estado, created_at, resuelto_en
+     FROM mensajes_fallidos
+     WHERE estado = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [estado, limite]
+  );
+  return result.rows;
+}
+
+async function obtenerFallido(id) {
+  const result = await pool.query('SELECT * FROM mensajes_fallidos WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+// Volver a publicar en el exchange de la Saga con el contador de reintentos en cero;
+// el mensaje queda REPROCESADO cuando el broker confirma la publicación
+async function reprocesarFallido(channel, fallido) {
+  const { 'x-reintentos': _r, 'x-ultimo-error': _e, ...headers } = fallido.headers || {};
+  
+  await publicarConfirmado(channel, SAGA_EXCHANGE, fallido.routing_key, Buffer.from(fallido.contenido), {
+    persistent: true,
+    messageId: fallido.message_id || undefined,
+    headers: { ...headers, 'x-reprocesado': true }
+  });
+  
+  await pool.query(
+    'UPDATE mensajes_fallidos SET estado = $1, resuelto_en = NOW() WHERE id = $2',
+    ['REPROCESADO', fallido.id]
+  );
+  
+  logger.info('Mensaje de la DLQ reprocesado', { id: fallido.id, routingKey: fallido.routing_key, sagaId: fallido.saga_id });
+}
+
+async function descartarFallido(fallido, motivo) {
+  await pool.query(
+    'UPDATE mensajes_fallidos SET estado = $1, motivo_descarte = $2, resuelto_en = NOW() WHERE id = $3',
+    ['DESCARTADO', motivo || null, fallido.id]
+  );
+  
+  logger.info('Mensaje de la DLQ descartado', { id: fallido.id, sagaId: fallido.saga_id, motivo });
+}
+
+module.exports = { guardarFallido, listarFallidos, obtenerFallido, reprocesarFallido, descartarFallido };
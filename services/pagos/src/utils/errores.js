@@ -0,0 +1,57 @@
+// services/pagos/src/utils/errores.js
+// Formato único de las respuestas de error de la API:
+//   { "error": { "codigo": "VALIDACION_FALLIDA", "mensaje": "...", "detalles": [...] } }
+// El código es estable y cada uno tiene un status HTTP fijo; el mensaje es para
+// personas y puede cambiar. detalles solo viene en los errores de validación, con un
+// elemento { campo, codigo, mensaje } por campo inválido.
+const logger = require('./logger');
+
+// Catálogo de códigos, compartido por todos los servicios
+const ERRORES = {
+  VALIDACION_FALLIDA: { status: 400, mensaje: 'Datos de entrada inválidos' },
+  JSON_INVALIDO: { status: 400, mensaje: 'El cuerpo no es un JSON válido' },
+  TOKEN_REQUERIDO: { status: 401, mensaje: 'Token requerido' },
+  TOKEN_EXPIRADO: { status: 401, mensaje: 'Token expirado' },
+  CREDENCIALES_INVALIDAS: { status: 401, mensaje: 'Credenciales inválidas' },
+  FIRMA_INVALIDA: { status: 401, mensaje: 'Firma inválida' },
+  TOKEN_INVALIDO: { status: 403, mensaje: 'Token inválido' },
+  ACCESO_DENEGADO: { status: 403, mensaje: 'Acceso restringido a administradores' },
+  CUENTA_DESHABILITADA: { status: 403, mensaje: 'Cuenta deshabilitada' },
+  NO_ENCONTRADO: { status: 404, mensaje: 'Recurso no encontrado' },
+  RUTA_NO_ENCONTRADA: { status: 404, mensaje: 'Ruta no encontrada' },
+  EMAIL_DUPLICADO: { status: 409, mensaje: 'El email ya está registrado' },
+  // La operación no aplica al estado actual del recurso
+  ESTADO_INVALIDO: { status: 409, mensaje: 'Operación no permitida en el estado actual' },
+  PLAZO_VENCIDO: { status: 409, mensaje: 'El plazo para la operación ya venció' },
+  // La Idempotency-Key ya se usó con un cuerpo distinto
+  IDEMPOTENCIA_CONFLICTO: { status: 409, mensaje: 'La Idempotency-Key ya se usó con otra solicitud' },
+  SERVICIO_NO_DISPONIBLE: { status: 503, mensaje: 'Servicio no disponible, intente más tarde' },
+  ERROR_INTERNO: { status: 500, mensaje: 'Error interno' }
+};
+
+const CodigoError = Object.fromEntries(Object.keys(ERRORES).map((codigo) => [codigo, codigo]));
+
+function enviarError(res, codigo, mensaje = ERRORES[codigo].mensaje, detalles) {
+  const error = { codigo, mensaje };
+  if (detalles) error.detalles = detalles;
+  return res.status(ERRORES[codigo].status).json({ error });
+}
+
+// Al final de las rutas: cualquier otra ruta responde en el mismo formato
+function rutaNoEncontrada(req, res) {
+  enviarError(res, CodigoError.RUTA_NO_ENCONTRADA, `Ruta no encontrada: ${req.method} ${req.path}`);
+}
+
+// Middleware de errores de Express: cuerpo JSON mal formado y errores no capturados
+function manejarErrores(error, req, res, next) {
+  if (res.headersSent) return next(error);
+  
+  if (error.type === 'entity.parse.failed') {
+    return enviarError(res, CodigoError.JSON_INVALIDO);
+  }
+  
+  logger.error('Error no manejado', { ruta: `${req.method} ${req.path}`, error: error.message });
+  enviarError(res, CodigoError.ERROR_INTERNO);
+}
+
+module.exports = { CodigoError, enviarError, rutaNoEncontrada, manejarErrores };
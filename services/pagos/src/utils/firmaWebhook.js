@@ -0,0 +1,27 @@
+// services/pagos/src/utils/firmaWebhook.js
+// Firma de los webhooks de la pasarela: HMAC-SHA256 (hex) de `${timestamp}.${cuerpo}`
+// con WEBHOOK_SECRET, en las cabeceras X-Firma y X-Firma-Timestamp (segundos Unix).
+// El timestamp limita la reutilización de una notificación capturada.
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const TOLERANCIA_MS = 5 * 60 * 1000;
+
+function firmar(timestamp, cuerpo) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${cuerpo}`).digest('hex');
+}
+
+// req.rawBody es el cuerpo sin parsear (lo guarda express.json en app.js)
+function verificarFirma(req) {
+  const firma = req.get('X-Firma');
+  const timestamp = req.get('X-Firma-Timestamp');
+  
+  if (!WEBHOOK_SECRET || !firma || !timestamp || !req.rawBody) return false;
+  if (!(Math.abs(Date.now() - Number(timestamp) * 1000) <= TOLERANCIA_MS)) return false;
+  
+  const esperada = Buffer.from(firmar(timestamp, req.rawBody));
+  const recibida = Buffer.from(firma);
+  return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+}
+
+module.exports = { firmar, verificarFirma };
@@ -0,0 +1,101 @@
+// services/pagos/src/utils/outbox.js
+// Patrón Outbox: los mensajes se guardan en la tabla outbox dentro de la misma
+// transacción que el cambio de estado, y el relay los publica después en RabbitMQ.
+// Con cada mensaje se guarda el contexto de traza de quien lo registró, y el relay lo
+// publica en las cabeceras: la traza sigue en el servicio que lo consume. Un mensaje
+// se marca ENVIADO solo cuando el broker confirma que lo recibió.
+const { pool } = require('../config/database');
+const { SAGA_EXCHANGE, routingKeyDe } = require('../config/messaging');
+const logger = require('./logger');
+const { mensajesPublicados } = require('./metricas');
+const { inyectarContexto, publicarConTraza } = require('./trazas');
+const { publicarConfirmado } = require('./rabbitmq');
+
+const LOTE_RELAY = 50;
+// Los mensajes enviados se guardan un día para diagnóstico; después se borran
+const RETENCION_ENVIADOS_HORAS = 24;
+
+let relayEnCurso = false;
+
+// Registrar mensaje en el outbox (usar el client de la transacción en curso)
+async function guardarEnOutbox(client, mensaje) {
+  await client.query(
+    'INSERT INTO outbox (saga_id, evento, routing_key, mensaje, contexto_traza) VALUES ($1, $2, $3, $4, $5)',
+    [mensaje.sagaId, mensaje.evento, routingKeyDe(mensaje.evento), mensaje, inyectarContexto()]
+  );
+}
+
+// Publicar mensajes pendientes y marcarlos como enviados
+async function publicarPendientes(channel) {
+  if (!channel || relayEnCurso) return;
+  relayEnCurso = true;
+  
+  let client;
+  
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    // SKIP LOCKED permite varias instancias del relay sin publicar dos veces
+    const pendientes = await client.query(
+      `SELECT * FROM outbox
+       WHERE estado = 'PENDIENTE'
+       ORDER BY created_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [LOTE_RELAY]
+    );
+    
+    for (const fila of pendientes.rows) {
+      try {
+        // El id de la fila viaja como messageId para que el consumidor deduplique
+        const mensaje = { ...fila.mensaje, messageId: fila.id };
+        await publicarConTraza(fila.contexto_traza, fila.routing_key, (headers) => (
+          publicarConfirmado(channel, SAGA_EXCHANGE, fila.routing_key, Buffer.from(JSON.stringify(mensaje)), {
+            persistent: true,
+            messageId: fila.id,
+            headers
+          })
+        ));
+        mensajesPublicados.inc({ routing_key: fila.routing_key });
+      } catch (error) {
+        // Se reintenta en la siguiente pasada; lo ya publicado queda marcado
+        logger.error('Error publicando mensaje del outbox', { id: fila.id, error: error.message });
+        await client.query('UPDATE outbox SET intentos = intentos + 1 WHERE id = $1', [fila.id]);
+        break;
+      }
+      
+      await client.query(
+        'UPDATE outbox SET estado = $1, enviado_en = NOW() WHERE id = $2',
+        ['ENVIADO', fila.id]
+      );
+      logger.info('Mensaje del outbox publicado', { sagaId: fila.saga_id, evento: fila.evento, routingKey: fila.routing_key });
+    }
+    
+    await client.query('COMMIT');
+    
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    logger.error('Error en relay del outbox', error);
+  } finally {
+    if (client) client.release();
+    relayEnCurso = false;
+  }
+}
+
+// Worker: borrar los mensajes ya enviados
+async function limpiarOutbox() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM outbox WHERE estado = 'ENVIADO' AND enviado_en < NOW() - $1 * INTERVAL '1 hour'`,
+      [RETENCION_ENVIADOS_HORAS]
+    );
+    if (result.rowCount > 0) {
+      logger.info('Mensajes enviados del outbox eliminados', { cantidad: result.rowCount });
+    }
+  } catch (error) {
+    logger.error('Error limpiando el outbox', error);
+  }
+}
+
+module.exports = { guardarEnOutbox, publicarPendientes, limpiarOutbox };
@@ -0,0 +1,126 @@
+// services/pagos/src/utils/reembolsos.js
+// Libro de reembolsos: cada devolución de dinero (solicitada por un operador, por la
+// compensación de la saga o por un pago aprobado tarde) queda registrada en la tabla
+// reembolsos, ligada a su transacción. La suma nunca supera el monto cobrado.
+// Cada reembolso se registra PENDIENTE, con su reembolsoId, en la misma transacción que
+// lo origina, y solo después se envía a la pasarela con ese id como clave de
+// idempotencia. Si la pasarela falla o el servicio cae antes de marcarlo COMPLETADO, el
+// envío se reintenta con el mismo id y la pasarela no reembolsa dos veces.
+const crypto = require('crypto');
+const { pool, ejecutarEnTransaccion } = require('../config/database');
+const logger = require('./logger');
+const gateways = require('../gateways');
+
+const LOTE_ENVIO = 50;
+
+let envioEnCurso = false;
+
+// Los montos se comparan en centavos para no acumular errores de punto flotante
+function aCentavos(monto) {
+  return Math.round(parseFloat(monto) * 100);
+}
+
+async function totalReembolsado(client, transactionId) {
+  const result = await client.query(
+    'SELECT COALESCE(SUM(monto), 0) AS total FROM reembolsos WHERE transaction_id = $1',
+    [transactionId]
+  );
+  return parseFloat(result.rows[0].total);
+}
+
+// Registrar el reembolso en el libro; se envía a la pasarela cuando la transacción del
+// client confirma. La transacción debe estar bloqueada (FOR UPDATE) por el llamador.
+// Los reembolsos pendientes ya descuentan del saldo. Sin monto se reembolsa todo el
+// saldo; con ajustarAlSaldo, un monto mayor se reduce al saldo en vez de rechazarse.
+// Retorna { reembolso, saldo } o { error } si el monto no es válido.
+async function reembolsar(client, transaccion, { monto, motivo, origen, usuarioId = null, sagaId = null, ajustarAlSaldo = false }) {
+  const { transaction_id: transactionId } = transaccion;
+  const saldo = aCentavos(transaccion.monto) - aCentavos(await totalReembolsado(client, transactionId));
+  let solicitado = monto === undefined ? saldo : aCentavos(monto);
+  if (ajustarAlSaldo) solicitado = Math.min(solicitado, saldo);
+  
+  if (!(solicitado > 0)) {
+    return { error: saldo > 0 ? 'El monto debe ser mayor que cero' : 'La transacción ya fue reembolsada por completo' };
+  }
+  if (solicitado > saldo) {
+    return { error: `El monto excede el saldo reembolsable (${saldo / 100})` };
+  }
+  
+  const result = await client.query(
+    `INSERT INTO reembolsos (reembolso_id, transaction_id, monto, motivo, origen, usuario_id, saga_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [crypto.randomUUID(), transactionId, solicitado / 100, motivo, origen, usuarioId, sagaId]
+  );
+  client.alConfirmar(() => enviarPendientes());
+  
+  return { reembolso: result.rows[0], saldo: (saldo - solicitado) / 100 };
+}
+
+// Enviar a la pasarela los reembolsos PENDIENTE y marcarlos COMPLETADO con la referencia
+// que devuelve. Corre al confirmar cada reembolso y como worker, para los que fallaron.
+async function enviarPendientes() {
+  if (envioEnCurso) return;
+  envioEnCurso = true;
+  
+  try {
+    const pendientes = await pool.query(
+      `SELECT reembolso_id FROM reembolsos
+       WHERE estado = 'PENDIENTE'
+       ORDER BY created_at
+       LIMIT $1`,
+      [LOTE_ENVIO]
+    );
+    
+    for (const { reembolso_id: reembolsoId } of pendientes.rows) {
+      try {
+        await ejecutarEnTransaccion((client) => enviarReembolso(client, reembolsoId));
+      } catch (error) {
+        // Se reintenta en la siguiente pasada, con el mismo reembolsoId
+        logger.error('Error enviando reembolso a la pasarela', { reembolsoId, error: error.message });
+        await pool.query('UPDATE reembolsos SET intentos = intentos + 1 WHERE reembolso_id = $1', [reembolsoId]);
+      }
+    }
+  } catch (error) {
+    logger.error('Error enviando reembolsos pendientes', error);
+  } finally {
+    envioEnCurso = false;
+  }
+}
+
+async function enviarReembolso(client, reembolsoId) {
+  // SKIP LOCKED: otra instancia puede estar enviándolo en este momento
+  const result = await client.query(
+    `SELECT r.transaction_id, r.monto, t.metodo_pago, t.referencia_externa
+     FROM reembolsos r JOIN transacciones t ON t.transaction_id = r.transaction_id
+     WHERE r.reembolso_id = $1 AND r.estado = 'PENDIENTE'
+     FOR UPDATE OF r SKIP LOCKED`,
+    [reembolsoId]
+  );
+  if (result.rows.length === 0) return;
+  
+  const { transaction_id: transactionId, monto, metodo_pago: metodoPago, referencia_externa: referencia } = result.rows[0];
+  const resultado = await gateways.reembolsar(metodoPago, {
+    transactionId,
+    reembolsoId,
+    referencia,
+    monto: parseFloat(monto)
+  });
+  
+  await client.query(
+    `UPDATE reembolsos SET estado = 'COMPLETADO', referencia_externa = $1, completado_en = NOW()
+     WHERE reembolso_id = $2`,
+    [resultado.referencia, reembolsoId]
+  );
+  logger.info('Reembolso enviado a la pasarela', { transactionId, reembolsoId, referencia: resultado.referencia });
+}
+
+async function listarReembolsos(client, transactionId) {
+  const result = await client.query(
+    'SELECT * FROM reembolsos WHERE transaction_id = $1 ORDER BY created_at',
+    [transactionId]
+  );
+  return result.rows;
+}
+
+module.exports = { reembolsar, enviarPendientes, listarReembolsos };
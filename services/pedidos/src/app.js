@@ -1,273 +1,757 @@
 // services/pedidos/src/app.js
+// Trazas: antes que cualquier otro módulo, para instrumentar express, http y pg
+const { cerrarTrazas } = require('./instrumentacion');
 const express = require('express');
-const { Pool } = require('pg');
-const amqp = require('amqplib');
-const jwt = require('jsonwebtoken');
-const winston = require('winston');
 const { v4: uuidv4 } = require('uuid');
+const { pool, ejecutarEnTransaccion } = require('./config/database');
+const logger = require('./utils/logger');
+const { authenticateToken, requireAdmin, puedeAcceder } = require('./utils/auth');
+const { CodigoError, enviarError, rutaNoEncontrada, manejarErrores } = require('./utils/errores');
+const { medirHttp, medirPool, exponerMetricas } = require('./utils/metricas');
+const { asignarIdSolicitud } = require('./utils/trazas');
+const { crearSondas } = require('./utils/salud');
+const { CodigoCampo, validarBody, validarQuery, validarParams } = require('./utils/validacion');
+const { inicializarClaves, recargarClaves } = require('./utils/jwt');
+const { QUEUES } = require('./config/messaging');
+const { conectarRabbitMQ, canalActual, cerrarRabbitMQ } = require('./utils/rabbitmq');
+const { publicarPendientes, limpiarOutbox } = require('./utils/outbox');
+const { limpiarInbox } = require('./utils/inbox');
+const {
+  consumirConReintentos,
+  consumirDLQ,
+  verificarConsumidores,
+  cancelarConsumidores,
+  esperarMensajesEnCurso
+} = require('./utils/consumidor');
+const { listarFallidos, obtenerFallido, reprocesarFallido, descartarFallido } = require('./utils/dlq');
+const { obtenerPrecio } = require('./utils/catalogo');
+const { SagaState, CANCELACION_SAGA } = require('./saga/definicion');
+const { iniciarSaga, processSagaResponse, revisarSagasVencidas, resolverIntervencion } = require('./saga/orquestador');
+const { politicaAplicable } = require('./utils/politicasCancelacion');
+const { ESQUEMA_LISTADO, construirConsulta } = require('./utils/listadoPedidos');
+const { obtenerTransacciones } = require('./utils/pagos');
+const { obtenerReservas, tieneSalidas } = require('./utils/inventario');
+const { iniciarEscucha, detenerEventos, limpiarEventos } = require('./utils/eventosSaga');
+const { repetir, detenerTemporizadores, cerrarServidor, instalarApagado } = require('./utils/apagado');
+const {
+  leerClaveIdempotencia,
+  huellaSolicitud,
+  buscarClave,
+  registrarClave,
+  limpiarClaves
+} = require('./utils/idempotencia');
+const usuariosRouter = require('./routes/usuarios');
+const eventosRouter = require('./routes/eventos');
+
+// Readiness: base de datos, canal de RabbitMQ y consumidores de la cola del servicio
+const sondas = crearSondas({
+  servicio: 'pedidos',
+  logger,
+  verificaciones: {
+    postgres: async () => {
+      await pool.query('SELECT 1');
+    },
+    rabbitmq: async () => {
+      const channel = canalActual();
+      if (!channel) throw new Error('Canal no abierto');
+      const { messageCount, consumerCount } = await channel.checkQueue(QUEUES.pedidos.nombre);
+      return { mensajesEnCola: messageCount, consumidoresEnBroker: consumerCount };
+    },
+    consumidores: () => verificarConsumidores(QUEUES.pedidos.nombre)
+  }
+});
 
 const app = express();
+// Id de solicitud (X-Request-Id) y métricas: latencia y errores de todas las rutas
+// (también las de JSON mal formado) y conexiones del pool
+app.use(asignarIdSolicitud);
+app.use(medirHttp);
+medirPool(pool);
 app.use(express.json());
 
-// Logger básico
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'pedidos.log' })
-  ]
-});
+// Autenticación, JWKS y gestión de usuarios: solo usan PostgreSQL y quedan fuera de la
+// readiness, así los demás servicios validan tokens y los clientes inician sesión
+// aunque RabbitMQ no esté disponible
+app.use(usuariosRouter);
 
-// Conexión a PostgreSQL
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  port: 5432
-});
+// Sin sus dependencias el servicio responde 503 (salvo las sondas y las métricas)
+app.use(sondas.exigirPreparado);
+
+// Streams SSE de eventos de las sagas
+app.use(eventosRouter);
 
-// Conexión a RabbitMQ
-let channel;
-async function connectRabbitMQ() {
-  const connection = await amqp.connect(process.env.RABBITMQ_URL);
-  channel = await connection.createChannel();
-  await channel.assertQueue('saga_events', { durable: true });
-  logger.info('RabbitMQ conectado');
+const OUTBOX_INTERVAL_MS = parseInt(process.env.OUTBOX_INTERVAL_MS) || 1000;
+const SAGA_WORKER_INTERVAL_MS = parseInt(process.env.SAGA_WORKER_INTERVAL_MS) || 10000;
+const JWT_CLAVES_INTERVAL_MS = 60 * 1000;
+const LIMPIEZA_INTERVAL_MS = 60 * 60 * 1000;
+const REINTENTO_INICIO_MS = 5000;
+
+// Métodos con pasarela en pagos; pagos además verifica que el método siga activo
+const METODOS_PAGO = ['tarjeta_credito', 'tarjeta_debito', 'pse', 'efectivo'];
+const MAX_ITEMS_PEDIDO = 50;
+// Fecha con hora y zona horaria (Z o ±hh:mm): una fecha sola ("2026-11-20") se leería
+// como medianoche UTC, que en la zona de los destinos es todavía el día anterior
+const FECHA_HORA_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const ITEM_PEDIDO = {
+  tipo: 'objeto',
+  requerido: true,
+  campos: {
+    productoId: { tipo: 'entero', requerido: true, minimo: 1 },
+    cantidad: { tipo: 'entero', requerido: true, minimo: 1 }
+  }
+};
+
+const ESQUEMA_PEDIDO = {
+  items: { tipo: 'lista', minimo: 1, maximo: MAX_ITEMS_PEDIDO, elementos: ITEM_PEDIDO },
+  // Pedido de una sola línea, por compatibilidad
+  productoId: { tipo: 'entero', minimo: 1 },
+  cantidad: { tipo: 'entero', minimo: 1 },
+  metodoPago: { tipo: 'texto', requerido: true, valores: METODOS_PAGO },
+  // Viaja hasta la pasarela (con el mock, el número de tarjeta de prueba)
+  datosPago: { tipo: 'objeto' },
+  // Define la política de cancelación del pedido y, en los productos que se venden
+  // por fecha, la salida que se reserva (para ellos es obligatoria)
+  fechaViaje: { tipo: 'fecha', patron: FECHA_HORA_REGEX, futura: true }
+};
+
+const ESQUEMA_ID_PEDIDO = { pedidoId: { tipo: 'uuid', requerido: true } };
+const ESQUEMA_ID_SAGA = { sagaId: { tipo: 'uuid', requerido: true } };
+const ESQUEMA_ID_FALLIDO = { id: { tipo: 'entero', requerido: true, minimo: 1 } };
+
+const ESQUEMA_CANCELACION = {
+  motivo: { tipo: 'texto', recortar: true, minimo: 1, maximo: 500 }
+};
+
+const ESQUEMA_RESOLUCION = {
+  nota: { tipo: 'texto', recortar: true, maximo: 1000 }
+};
+
+const ESQUEMA_LISTADO_DLQ = {
+  estado: { tipo: 'texto', valores: ['PENDIENTE', 'REPROCESADO', 'DESCARTADO'], porDefecto: 'PENDIENTE' }
+};
+
+const ESQUEMA_DESCARTE = {
+  motivo: { tipo: 'texto', recortar: true, maximo: 500 }
+};
+
+// Líneas del pedido ya validadas: items o, por compatibilidad, un solo
+// productoId/cantidad. Las líneas repetidas del mismo producto se suman. Retorna null
+// si el pedido no trae ninguna de las dos formas.
+function normalizarItems(body) {
+  let items = body.items;
+  if (!items && body.productoId !== undefined && body.cantidad !== undefined) {
+    items = [{ productoId: body.productoId, cantidad: body.cantidad }];
+  }
+  if (!items) return null;
+  
+  const cantidades = new Map();
+  for (const { productoId, cantidad } of items) {
+    cantidades.set(productoId, (cantidades.get(productoId) || 0) + cantidad);
+  }
+  
+  return [...cantidades].map(([productoId, cantidad]) => ({ productoId, cantidad }));
 }
 
-// Middleware JWT básico
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Cotizar las líneas con el precio vigente del catálogo. Los precios quedan en el
+// payload de la saga y pagos cobra exactamente esos montos. Si algún producto no
+// existe retorna { detalles } con un error por producto.
+async function cotizarItems(items) {
+  const precios = await Promise.all(items.map((item) => obtenerPrecio(item.productoId)));
   
-  if (!token) {
-    return res.status(401).json({ error: 'Token requerido' });
+  const noEncontrados = items.filter((item, i) => precios[i] === null);
+  if (noEncontrados.length > 0) {
+    return {
+      detalles: noEncontrados.map((item) => ({
+        campo: 'items',
+        codigo: CodigoCampo.NO_ENCONTRADO,
+        mensaje: `producto no encontrado: ${item.productoId}`
+      }))
+    };
   }
   
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: 'Token inválido' });
-    req.user = user;
-    next();
-  });
-};
+  const cotizados = items.map((item, i) => ({
+    ...item,
+    precioUnitario: precios[i],
+    subtotal: redondear(precios[i] * item.cantidad)
+  }));
+  
+  return {
+    items: cotizados,
+    montoTotal: redondear(cotizados.reduce((total, item) => total + item.subtotal, 0))
+  };
+}
 
-// Estados de la Saga
-const SagaState = {
-  INICIADA: 'INICIADA',
-  INVENTARIO_RESERVADO: 'INVENTARIO_RESERVADO',
-  PAGO_PROCESADO: 'PAGO_PROCESADO',
-  COMPLETADA: 'COMPLETADA',
-  CANCELADA: 'CANCELADA',
-  COMPENSANDO: 'COMPENSANDO'
-};
+// Sin fechaViaje, la reserva de un producto que se vende por fecha falla siempre: se
+// rechaza antes de iniciar la saga. Si inventario no responde, se deja pasar; la reserva
+// lo rechaza igual con FECHA_VIAJE_REQUERIDA.
+async function exigirFechaViaje(items, authorization) {
+  try {
+    const conSalidas = await Promise.all(items.map((item) => tieneSalidas(item.productoId, authorization)));
+    return items
+      .filter((item, i) => conSalidas[i])
+      .map((item) => ({
+        campo: 'fechaViaje',
+        codigo: CodigoCampo.REQUERIDO,
+        mensaje: `requerida para el producto ${item.productoId}, que se vende por fecha de salida`
+      }));
+  } catch (error) {
+    logger.warn('No se pudo consultar si los productos tienen salidas', { error: error.message });
+    return [];
+  }
+}
 
-// Crear pedido (inicia Saga)
-app.post('/pedidos', authenticateToken, async (req, res) => {
-  const { productoId, cantidad, metodoPago } = req.body;
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
+// Repetición de una solicitud con una Idempotency-Key ya usada: la respuesta original
+// si el cuerpo es el mismo, conflicto si es otro
+function responderRepeticion(res, previa, huella) {
+  if (previa.huella !== huella) {
+    return enviarError(res, CodigoError.IDEMPOTENCIA_CONFLICTO);
+  }
+  res.set('Idempotent-Replayed', 'true');
+  res.status(201).json(previa.respuesta);
+}
+
+// Crear pedido (inicia Saga). Con Idempotency-Key, los reintentos del cliente no crean
+// pedidos duplicados.
+app.post('/pedidos', authenticateToken, leerClaveIdempotencia, validarBody(ESQUEMA_PEDIDO), async (req, res) => {
+  const { metodoPago, datosPago, fechaViaje = null } = req.body;
+  const lineas = normalizarItems(req.body);
+  if (!lineas) {
+    return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, [
+      { campo: 'items', codigo: CodigoCampo.REQUERIDO, mensaje: 'se requiere items, o productoId y cantidad' }
+    ]);
+  }
+  
+  const { claveIdempotencia } = req;
+  const huella = claveIdempotencia && huellaSolicitud(req.body);
+  if (claveIdempotencia) {
+    try {
+      const previa = await buscarClave(req.user.userId, claveIdempotencia);
+      if (previa) {
+        logger.info('Solicitud de pedido repetida', { userId: req.user.userId, claveIdempotencia });
+        return responderRepeticion(res, previa, huella);
+      }
+    } catch (error) {
+      logger.error('Error consultando clave de idempotencia', error);
+      return enviarError(res, CodigoError.ERROR_INTERNO);
+    }
+  }
+  
+  let cotizacion;
+  try {
+    cotizacion = await cotizarItems(lineas);
+  } catch (error) {
+    logger.warn('No se pudo cotizar el pedido', { error: error.message });
+    return enviarError(res, CodigoError.SERVICIO_NO_DISPONIBLE, 'Catálogo no disponible, intente más tarde');
+  }
+  if (cotizacion.detalles) {
+    return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, cotizacion.detalles);
+  }
+  if (!fechaViaje) {
+    const detalles = await exigirFechaViaje(lineas, req.headers['authorization']);
+    if (detalles.length > 0) {
+      return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, detalles);
+    }
+  }
+  
+  const { items, montoTotal } = cotizacion;
   const sagaId = uuidv4();
   const pedidoId = uuidv4();
+  const respuesta = { pedidoId, sagaId, items, montoTotal, fechaViaje, estado: SagaState.INICIADA };
   
   try {
-    // Crear pedido en base de datos
-    const result = await pool.query(
-      'INSERT INTO pedidos (id, saga_id, usuario_id, producto_id, cantidad, estado) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      // ¡Aquí está el cambio!
-      [pedidoId, sagaId, req.user.userId || 1, productoId, cantidad, SagaState.INICIADA] 
-    )
-    
-    // Iniciar estado de Saga
-    await pool.query(
-      'INSERT INTO saga_estados (saga_id, paso, estado) VALUES ($1, $2, $3)',
-      [sagaId, 'CREAR_PEDIDO', 'COMPLETADO']
-    );
+    // Clave de idempotencia, pedido, líneas cotizadas, estado de Saga y primer comando
+    // se guardan en una sola transacción
+    const creado = await ejecutarEnTransaccion(async (client) => {
+      // Otra solicitud con la misma clave se adelantó: no se crea nada
+      if (claveIdempotencia && !(await registrarClave(client, req.user.userId, claveIdempotencia, huella, respuesta))) {
+        return false;
+      }
+      
+      await client.query(
+        'INSERT INTO pedidos (id, saga_id, usuario_id, monto_total, fecha_viaje, estado) VALUES ($1, $2, $3, $4, $5, $6)',
+        [pedidoId, sagaId, req.user.userId, montoTotal, fechaViaje, SagaState.INICIADA]
+      );
+      
+      for (const { productoId, cantidad, precioUnitario, subtotal } of items) {
+        await client.query(
+          `INSERT INTO pedido_lineas (pedido_id, producto_id, cantidad, precio_unitario, subtotal)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [pedidoId, productoId, cantidad, precioUnitario, subtotal]
+        );
+      }
+      
+      // Iniciar Saga: el primer paso reserva inventario. usuarioId permite a los
+      // participantes aplicar la política de propietario en sus consultas
+      await iniciarSaga(client, {
+        sagaId,
+        pedidoId,
+        payload: { items, montoTotal, pedidoId, metodoPago, datosPago, fechaViaje, usuarioId: req.user.userId }
+      });
+      return true;
+    });
     
-    // Enviar evento para reservar inventario
-  await publishSagaEvent(sagaId, 'RESERVAR_INVENTARIO', {
-    productoId,
-    cantidad,
-    pedidoId,
-    metodoPago
-  });
+    if (!creado) {
+      return responderRepeticion(res, await buscarClave(req.user.userId, claveIdempotencia), huella);
+    }
     
     logger.info('Pedido creado', { sagaId, pedidoId, userId: req.user.userId });
+    res.status(201).json(respuesta);
     
-    res.status(201).json({
-      pedidoId,
-      sagaId,
-      estado: SagaState.INICIADA
+  } catch (error) {
+    logger.error('Error creando pedido', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Cancelar un pedido completado (inicia la saga de cancelación). El reembolso depende
+// de la política que aplique según las horas que faltan para el viaje.
+app.post('/pedidos/:pedidoId/cancelar', authenticateToken, validarParams(ESQUEMA_ID_PEDIDO), validarBody(ESQUEMA_CANCELACION), async (req, res) => {
+  const { pedidoId } = req.params;
+  const motivo = req.body.motivo || 'Cancelación solicitada por el cliente';
+  const sagaId = uuidv4();
+  
+  try {
+    // Bloquear el pedido: dos solicitudes simultáneas no inician dos cancelaciones
+    const resultado = await ejecutarEnTransaccion(async (client) => {
+      const pedidoResult = await client.query(
+        'SELECT * FROM pedidos WHERE id = $1 FOR UPDATE',
+        [pedidoId]
+      );
+      const pedido = pedidoResult.rows[0];
+      
+      // Un cliente solo cancela sus propios pedidos
+      if (!pedido || !puedeAcceder(req.user, pedido.usuario_id)) {
+        return { codigo: CodigoError.NO_ENCONTRADO, error: 'Pedido no encontrado' };
+      }
+      if (pedido.estado !== SagaState.COMPLETADA) {
+        return { codigo: CodigoError.ESTADO_INVALIDO, error: `No se puede cancelar un pedido ${pedido.estado}` };
+      }
+      
+      const politica = politicaAplicable(pedido.fecha_viaje);
+      if (!politica) {
+        return { codigo: CodigoError.PLAZO_VENCIDO, error: 'El plazo para cancelar el pedido ya venció' };
+      }
+      
+      const lineasResult = await client.query(
+        'SELECT producto_id, cantidad FROM pedido_lineas WHERE pedido_id = $1 ORDER BY id',
+        [pedidoId]
+      );
+      const montoReembolso = redondear(parseFloat(pedido.monto_total) * politica.porcentaje / 100);
+      
+      // sagaReserva: los participantes ubican el pago y la reserva por la saga original
+      await iniciarSaga(client, {
+        sagaId,
+        pedidoId,
+        definicion: CANCELACION_SAGA,
+        estado: pedido.estado,
+        payload: {
+          pedidoId,
+          sagaReserva: pedido.saga_id,
+          items: lineasResult.rows.map((linea) => ({ productoId: linea.producto_id, cantidad: linea.cantidad })),
+          porcentajeReembolso: politica.porcentaje,
+          montoReembolso,
+          motivo,
+          usuarioId: pedido.usuario_id
+        }
+      });
+      
+      return { porcentajeReembolso: politica.porcentaje, montoReembolso };
     });
     
+    if (resultado.error) {
+      return enviarError(res, resultado.codigo, resultado.error);
+    }
+    
+    logger.info('Cancelación de pedido iniciada', { sagaId, pedidoId, userId: req.user.userId, ...resultado });
+    res.status(202).json({ pedidoId, sagaId, estado: SagaState.CANCELANDO, ...resultado });
+    
   } catch (error) {
-    logger.error('Error creando pedido', error);
-    res.status(500).json({ error: 'Error interno' });
+    logger.error('Error cancelando pedido', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Listar pedidos: los propios o, para un admin, todos. Filtros por estado, rango de
+// fechas de creación y producto; paginación por cursor.
+app.get('/pedidos', authenticateToken, validarQuery(ESQUEMA_LISTADO), async (req, res) => {
+  const consulta = construirConsulta(req.query, req.user);
+  if (consulta.error) {
+    return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, [
+      { campo: 'cursor', codigo: CodigoCampo.FORMATO_INVALIDO, mensaje: consulta.error }
+    ]);
+  }
+  
+  try {
+    const result = await pool.query(consulta.sql, consulta.valores);
+    
+    res.json({
+      pedidos: result.rows.slice(0, consulta.limite).map(({ valor_orden: valorOrden, ...pedido }) => pedido),
+      siguienteCursor: consulta.siguienteCursor(result.rows)
+    });
+  } catch (error) {
+    logger.error('Error listando pedidos', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Campos del payload de saga_estados que se muestran en el historial de un pedido
+const CAMPOS_HISTORIAL = [
+  'transactionId', 'reembolsoId', 'montoRevertido', 'montoReembolsado',
+  'lineas', 'cantidadLiberada', 'motivo', 'usuarioId'
+];
+
+// Detalle de un pedido: líneas, sagas (reserva y cancelaciones) con su historial, y el
+// estado del pago y de la reserva consultados a pagos e inventario
+app.get('/pedidos/:pedidoId', authenticateToken, validarParams(ESQUEMA_ID_PEDIDO), async (req, res) => {
+  try {
+    const { pedidoId } = req.params;
+    
+    const pedidoResult = await pool.query('SELECT * FROM pedidos WHERE id = $1', [pedidoId]);
+    
+    // Un cliente solo consulta sus propios pedidos
+    if (pedidoResult.rows.length === 0 || !puedeAcceder(req.user, pedidoResult.rows[0].usuario_id)) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Pedido no encontrado');
+    }
+    const pedido = pedidoResult.rows[0];
+    
+    const lineasResult = await pool.query(
+      'SELECT producto_id, cantidad, precio_unitario, subtotal FROM pedido_lineas WHERE pedido_id = $1 ORDER BY id',
+      [pedidoId]
+    );
+    
+    const sagasResult = await pool.query(
+      `SELECT saga_id, tipo, paso_pendiente, pasos_completados, razon_compensacion, requiere_intervencion, created_at
+       FROM sagas WHERE pedido_id = $1 ORDER BY created_at`,
+      [pedidoId]
+    );
+    
+    const historialResult = await pool.query(
+      `SELECT e.saga_id, s.tipo, e.paso, e.estado, e.timestamp, e.error_message,
+              (SELECT jsonb_object_agg(c.key, c.value) FROM jsonb_each(e.payload) c WHERE c.key = ANY($2)) AS payload
+       FROM saga_estados e JOIN sagas s ON s.saga_id = e.saga_id
+       WHERE s.pedido_id = $1
+       ORDER BY e.timestamp, e.id`,
+      [pedidoId, CAMPOS_HISTORIAL]
+    );
+    
+    // El pago y la reserva son los de la saga de reserva
+    const [pago, reserva] = await Promise.all([
+      resumenPago(pedido.saga_id, req.headers['authorization']),
+      resumenReserva(pedido.saga_id, req.headers['authorization'])
+    ]);
+    
+    res.json({
+      pedido: { ...pedido, lineas: lineasResult.rows },
+      sagas: sagasResult.rows,
+      historial: historialResult.rows,
+      pago,
+      reserva
+    });
+    
+  } catch (error) {
+    logger.error('Error consultando pedido', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
   }
 });
 
+// Resumen del pago según pagos. Si pagos no responde, el detalle del pedido sale igual
+// con disponible: false.
+async function resumenPago(sagaId, authorization) {
+  try {
+    const [transaccion] = await obtenerTransacciones(sagaId, authorization);
+    if (!transaccion) return { disponible: true, estado: null };
+    
+    return {
+      disponible: true,
+      transactionId: transaccion.transaction_id,
+      estado: transaccion.estado,
+      metodoPago: transaccion.metodo_pago,
+      monto: parseFloat(transaccion.monto),
+      montoReembolsado: parseFloat(transaccion.monto_reembolsado),
+      motivo: transaccion.motivo
+    };
+  } catch (error) {
+    logger.warn('No se pudo consultar el pago del pedido', { sagaId, error: error.message });
+    return { disponible: false, error: 'Pagos no disponible' };
+  }
+}
+
+// Resumen de la reserva según inventario, con el mismo criterio que resumenPago
+async function resumenReserva(sagaId, authorization) {
+  try {
+    const reservas = await obtenerReservas(sagaId, authorization);
+    
+    return {
+      disponible: true,
+      // Todas las líneas de una reserva cambian de estado juntas
+      estado: reservas.length > 0 ? reservas[0].estado : null,
+      lineas: reservas.map((reserva) => ({
+        productoId: reserva.producto_id,
+        cantidad: reserva.cantidad_reservada,
+        estado: reserva.estado,
+        expiraEn: reserva.expira_en
+      }))
+    };
+  } catch (error) {
+    logger.warn('No se pudo consultar la reserva del pedido', { sagaId, error: error.message });
+    return { disponible: false, error: 'Inventario no disponible' };
+  }
+}
+
 // Endpoint para consultar estado de Saga
-app.get('/sagas/:sagaId', authenticateToken, async (req, res) => {
+app.get('/sagas/:sagaId', authenticateToken, validarParams(ESQUEMA_ID_SAGA), async (req, res) => {
   try {
     const { sagaId } = req.params;
     
+    // La saga puede ser la de reserva o una de cancelación del pedido
     const pedidoResult = await pool.query(
-      'SELECT * FROM pedidos WHERE saga_id = $1',
+      'SELECT p.* FROM sagas s JOIN pedidos p ON p.id = s.pedido_id WHERE s.saga_id = $1',
+      [sagaId]
+    );
+    
+    // Un cliente solo consulta sus propias sagas
+    if (pedidoResult.rows.length === 0 || !puedeAcceder(req.user, pedidoResult.rows[0].usuario_id)) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Saga no encontrada');
+    }
+    
+    const lineasResult = await pool.query(
+      'SELECT producto_id, cantidad, precio_unitario, subtotal FROM pedido_lineas WHERE pedido_id = $1 ORDER BY id',
+      [pedidoResult.rows[0].id]
+    );
+    
+    const sagaResult = await pool.query(
+      `SELECT tipo, paso_pendiente, pasos_completados, intentos, deadline, razon_compensacion, requiere_intervencion
+       FROM sagas WHERE saga_id = $1`,
       [sagaId]
     );
     
     const estadosResult = await pool.query(
-      'SELECT * FROM saga_estados WHERE saga_id = $1 ORDER BY timestamp',
+      'SELECT * FROM saga_estados WHERE saga_id = $1 ORDER BY timestamp, id',
       [sagaId]
     );
     
     res.json({
-      pedido: pedidoResult.rows[0],
+      pedido: { ...pedidoResult.rows[0], lineas: lineasResult.rows },
+      saga: sagaResult.rows[0],
+      compensaciones: resumenCompensaciones(estadosResult.rows),
       estados: estadosResult.rows
     });
     
   } catch (error) {
     logger.error('Error consultando saga', error);
-    res.status(500).json({ error: 'Error interno' });
+    enviarError(res, CodigoError.ERROR_INTERNO);
   }
 });
 
-// Función para publicar eventos de Saga
-async function publishSagaEvent(sagaId, evento, payload) {
-  const message = {
-    sagaId,
-    evento,
-    payload,
-    timestamp: new Date().toISOString()
-  };
-  
-  await channel.sendToQueue('saga_events', Buffer.from(JSON.stringify(message)));
-  logger.info('Evento Saga publicado', { sagaId, evento });
+// Consumir eventos de respuesta de otros servicios (respuesta.#); se registra de nuevo
+// en cada reconexión a RabbitMQ
+async function consumeSagaEvents(channel) {
+  await consumirConReintentos(channel, QUEUES.pedidos.nombre, processSagaResponse);
+  await consumirDLQ(channel, QUEUES.pedidos.nombre);
 }
 
-// Consumir eventos de respuesta de otros servicios
-async function consumeSagaEvents() {
-  await channel.assertQueue('pedidos_responses', { durable: true });
-  
-  channel.consume('pedidos_responses', async (msg) => {
-    const event = JSON.parse(msg.content.toString());
-    await processSagaResponse(event);
-    channel.ack(msg);
-  });
+// Resultado de cada compensación según la confirmación del participante: muestra si
+// el dinero y el stock fueron devueltos realmente
+function resumenCompensaciones(estados) {
+  const resumen = {};
+  for (const fila of estados) {
+    if (['LIBERAR_INVENTARIO', 'COMPENSAR_PAGO'].includes(fila.paso) && ['COMPLETADO', 'FALLIDO'].includes(fila.estado)) {
+      resumen[fila.paso] = {
+        estado: fila.estado,
+        detalle: fila.payload,
+        error: fila.error_message,
+        timestamp: fila.timestamp
+      };
+    }
+  }
+  return resumen;
 }
 
-// Procesar respuestas de la Saga
-async function processSagaResponse(event) {
-  const { sagaId, evento, success, payload } = event;
-  
-  logger.info('Procesando respuesta Saga', { sagaId, evento, success });
-  
+// Sagas con compensación fallida que esperan intervención manual
+app.get('/admin/sagas/intervencion', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    switch (evento) {
-      case 'INVENTARIO_RESERVADO':
-        if (success) {
-          await updateSagaState(sagaId, 'RESERVAR_INVENTARIO', 'COMPLETADO');
-          await updatePedidoState(sagaId, SagaState.INVENTARIO_RESERVADO);
-          // Procesar pago
-          await publishSagaEvent(sagaId, 'PROCESAR_PAGO', payload);
-        } else {
-          await compensateSaga(sagaId, 'INVENTARIO_NO_DISPONIBLE');
-        }
-        break;
-        
-      case 'PAGO_PROCESADO':
-        if (success) {
-          await updateSagaState(sagaId, 'PROCESAR_PAGO', 'COMPLETADO');
-          await updatePedidoState(sagaId, SagaState.PAGO_PROCESADO);
-          // Confirmar pedido
-          await publishSagaEvent(sagaId, 'CONFIRMAR_PEDIDO', payload);
-        } else {
-          await compensateSaga(sagaId, 'PAGO_RECHAZADO');
-        }
-        break;
-        
-      case 'PEDIDO_CONFIRMADO':
-        await updateSagaState(sagaId, 'CONFIRMAR_PEDIDO', 'COMPLETADO');
-        await updatePedidoState(sagaId, SagaState.COMPLETADA);
-        break;
-    }
+    const result = await pool.query(
+      `SELECT s.saga_id, s.pedido_id, s.razon_compensacion, s.updated_at, p.estado, p.usuario_id
+       FROM sagas s JOIN pedidos p ON p.id = s.pedido_id
+       WHERE s.requiere_intervencion = true
+       ORDER BY s.updated_at`
+    );
+    res.json(result.rows);
   } catch (error) {
-    logger.error('Error procesando respuesta Saga', error);
-    await compensateSaga(sagaId, 'ERROR_INTERNO');
+    logger.error('Error consultando sagas en intervención', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
   }
-}
+});
 
-// Actualizar estado de Saga
-async function updateSagaState(sagaId, paso, estado) {
-  await pool.query(
-    'INSERT INTO saga_estados (saga_id, paso, estado) VALUES ($1, $2, $3)',
-    [sagaId, paso, estado]
-  );
-}
+app.post('/admin/sagas/:sagaId/resolver', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_SAGA), validarBody(ESQUEMA_RESOLUCION), async (req, res) => {
+  try {
+    const resuelta = await ejecutarEnTransaccion((client) =>
+      resolverIntervencion(client, req.params.sagaId, {
+        nota: req.body.nota,
+        usuarioId: req.user.userId
+      })
+    );
+    
+    if (!resuelta) {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, 'La saga no está esperando intervención manual');
+    }
+    res.json({ sagaId: req.params.sagaId, estado: 'CANCELADA' });
+  } catch (error) {
+    logger.error('Error resolviendo intervención de saga', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
 
-// Actualizar estado del pedido
-async function updatePedidoState(sagaId, estado) {
-  await pool.query(
-    'UPDATE pedidos SET estado = $1 WHERE saga_id = $2',
-    [estado, sagaId]
-  );
-}
+// Administración de la DLQ (mensajes que agotaron sus reintentos)
+app.get('/admin/dlq', authenticateToken, requireAdmin, validarQuery(ESQUEMA_LISTADO_DLQ), async (req, res) => {
+  try {
+    const mensajes = await listarFallidos(req.query.estado);
+    res.json(mensajes);
+  } catch (error) {
+    logger.error('Error consultando DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
 
-// Compensar Saga (rollback)
-async function compensateSaga(sagaId, razon) {
-  logger.warn('Iniciando compensación Saga', { sagaId, razon });
-  
-  await updatePedidoState(sagaId, SagaState.COMPENSANDO);
-  
-  // Publicar eventos de compensación
-  await publishSagaEvent(sagaId, 'COMPENSAR_PAGO', { razon });
-  await publishSagaEvent(sagaId, 'LIBERAR_INVENTARIO', { razon });
-  
-  await updatePedidoState(sagaId, SagaState.CANCELADA);
-  await updateSagaState(sagaId, 'COMPENSACION', 'COMPLETADO');
-}
+app.get('/admin/dlq/:id', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    res.json(fallido);
+  } catch (error) {
+    logger.error('Error consultando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
 
-// Login básico para JWT
-app.post('/auth/login', async (req, res) => {
-  const { email, password } = req.body;
-  
-  // Validación básica (en producción usar hash)
-  if (email === 'admin@tuso.com' && password === 'admin123') {
-    const token = jwt.sign(
-      { userId: 1, email, role: 'admin' },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+app.post('/admin/dlq/:id/reprocesar', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    if (fallido.estado !== 'PENDIENTE') {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, `Mensaje ya ${fallido.estado.toLowerCase()}`);
+    }
     
-    res.json({ token, role: 'admin' });
-  } else if (email === 'cliente@tuso.com' && password === 'cliente123') {
-    const token = jwt.sign(
-      { userId: 2, email, role: 'cliente' },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const channel = canalActual();
+    if (!channel) {
+      return enviarError(res, CodigoError.SERVICIO_NO_DISPONIBLE, 'RabbitMQ no disponible');
+    }
     
-    res.json({ token, role: 'cliente' });
-  } else {
-    res.status(401).json({ error: 'Credenciales inválidas' });
+    await reprocesarFallido(channel, fallido);
+    res.json({ id: fallido.id, estado: 'REPROCESADO' });
+  } catch (error) {
+    logger.error('Error reprocesando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
   }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', service: 'pedidos', timestamp: new Date().toISOString() });
+app.delete('/admin/dlq/:id', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_FALLIDO), validarBody(ESQUEMA_DESCARTE), async (req, res) => {
+  try {
+    const fallido = await obtenerFallido(req.params.id);
+    if (!fallido) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Mensaje no encontrado');
+    }
+    if (fallido.estado !== 'PENDIENTE') {
+      return enviarError(res, CodigoError.ESTADO_INVALIDO, `Mensaje ya ${fallido.estado.toLowerCase()}`);
+    }
+    
+    await descartarFallido(fallido, req.body.motivo);
+    res.json({ id: fallido.id, estado: 'DESCARTADO' });
+  } catch (error) {
+    logger.error('Error descartando mensaje de la DLQ', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
 });
 
-// Inicializar conexiones
+// Sondas de salud: liveness y readiness (/health es la readiness)
+app.get('/health/live', sondas.vivo);
+app.get('/health/ready', sondas.preparado);
+app.get('/health', sondas.preparado);
+
+// Métricas para Prometheus
+app.get('/metrics', exponerMetricas);
+
+// Errores en el formato común: rutas inexistentes, JSON mal formado y no capturados
+app.use(rutaNoEncontrada);
+app.use(manejarErrores);
+
+// Reintentar un paso del arranque que necesita PostgreSQL hasta que la base responda
+async function reintentarArranque(paso, fn) {
+  for (;;) {
+    try {
+      return await fn();
+    } catch (error) {
+      logger.error('Error en el arranque; se reintenta', { paso, esperaMs: REINTENTO_INICIO_MS, error: error.message });
+      await new Promise((resolve) => setTimeout(resolve, REINTENTO_INICIO_MS));
+    }
+  }
+}
+
+// Inicializar conexiones. Las caídas de PostgreSQL y RabbitMQ no detienen el servicio:
+// el pool abre conexiones nuevas, RabbitMQ se reconecta y, mientras tanto, la
+// readiness responde 503.
 async function initialize() {
   try {
-    await connectRabbitMQ();
-    await consumeSagaEvents();
+    // Claves de firma JWT; la recarga periódica recoge rotaciones de otras instancias
+    // y deja de publicar las claves retiradas
+    await reintentarArranque('claves JWT', inicializarClaves);
+    repetir(() => {
+      recargarClaves().catch((error) => logger.error('Error recargando claves JWT', error));
+    }, JWT_CLAVES_INTERVAL_MS);
+    
+    // Avisos de eventos de saga (LISTEN) para los streams SSE de esta instancia
+    await iniciarEscucha();
+    repetir(limpiarEventos, LIMPIEZA_INTERVAL_MS);
+    repetir(limpiarClaves, LIMPIEZA_INTERVAL_MS);
+    
+    await conectarRabbitMQ(consumeSagaEvents);
+    
+    // Relay del outbox: publica los eventos pendientes en RabbitMQ
+    repetir(() => publicarPendientes(canalActual()), OUTBOX_INTERVAL_MS);
+    
+    // Borrar los mensajes enviados del outbox y los procesados más antiguos del inbox
+    repetir(limpiarOutbox, LIMPIEZA_INTERVAL_MS);
+    repetir(limpiarInbox, LIMPIEZA_INTERVAL_MS);
+    
+    // Recuperar de inmediato las sagas que vencieron mientras el servicio estaba caído
+    await revisarSagasVencidas();
+    repetir(revisarSagasVencidas, SAGA_WORKER_INTERVAL_MS);
+    
+    // Primera verificación de las dependencias antes de aceptar solicitudes
+    await sondas.iniciar();
     
     const PORT = process.env.PORT || 3001;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`Servicio de Pedidos ejecutándose en puerto ${PORT}`);
     });
     
+    // SIGTERM: rechazar solicitudes nuevas, dejar de consumir y esperar los mensajes
+    // y solicitudes en curso; publicar lo que dejaron en el outbox y cerrar conexiones
+    instalarApagado(logger, [
+      ['readiness', () => sondas.detener()],
+      ['consumidores', async () => {
+        const channel = canalActual();
+        if (channel) await cancelarConsumidores(channel);
+        await esperarMensajesEnCurso();
+      }],
+      ['streams SSE', detenerEventos],
+      ['http', () => cerrarServidor(server)],
+      ['workers', detenerTemporizadores],
+      ['outbox', () => publicarPendientes(canalActual())],
+      ['rabbitmq', cerrarRabbitMQ],
+      ['postgres', () => pool.end()],
+      ['trazas', cerrarTrazas]
+    ]);
+    
   } catch (error) {
     logger.error('Error inicializando servicio', error);
     process.exit(1);
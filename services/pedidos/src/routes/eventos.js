@@ -0,0 +1,100 @@
+// services/pedidos/src/routes/eventos.js
+// Streams Server-Sent Events con los pasos de las sagas y los cambios de estado de los
+// pedidos: los de una saga o los de todos los pedidos del usuario (un admin recibe
+// los de todos los usuarios)
+const express = require('express');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const { authenticateToken, puedeAcceder } = require('../utils/auth');
+const { CodigoError, enviarError } = require('../utils/errores');
+const { validarParams } = require('../utils/validacion');
+const { suscribir } = require('../utils/eventosSaga');
+
+const router = express.Router();
+
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+// Espera que el navegador aplica antes de reconectar
+const SSE_RETRY_MS = 3000;
+
+const ESQUEMA_ID_SAGA = { sagaId: { tipo: 'uuid', requerido: true } };
+
+// EventSource no permite cabeceras: el token también se acepta en ?token=
+function tokenEnQuery(req, res, next) {
+  if (!req.headers['authorization'] && typeof req.query.token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Último evento recibido por el cliente (cabecera Last-Event-ID de EventSource o
+// ?lastEventId=), o null si no viene
+function ultimoEventoId(req) {
+  const valor = Number(req.headers['last-event-id'] || req.query.lastEventId);
+  return Number.isInteger(valor) && valor >= 0 ? valor : null;
+}
+
+async function abrirStream(req, res, filtro, ultimoId) {
+  // La duración de un stream es la de la conexión: no entra en las métricas HTTP
+  res.locals.stream = true;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+  
+  // Comentario SSE periódico: mantiene viva la conexión a través de proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  
+  // El stream se cierra cuando vence el access token; el cliente se reconecta con un
+  // token renovado y retoma desde Last-Event-ID
+  const vencimiento = setTimeout(() => {
+    res.write('event: token-expirado\ndata: {}\n\n');
+    res.end();
+  }, Math.max(req.user.exp * 1000 - Date.now(), 0));
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(vencimiento);
+  });
+  
+  try {
+    await suscribir(res, filtro, ultimoId);
+  } catch (error) {
+    logger.error('Error repitiendo eventos de saga', error);
+    res.end();
+  }
+}
+
+// Eventos de una saga. Sin Last-Event-ID se repite su historial completo, así el
+// cliente que se suscribe justo después de crear el pedido no pierde ningún paso.
+router.get('/sagas/:sagaId/eventos', tokenEnQuery, authenticateToken, validarParams(ESQUEMA_ID_SAGA), async (req, res) => {
+  const { sagaId } = req.params;
+  
+  try {
+    const result = await pool.query(
+      'SELECT p.usuario_id FROM sagas s JOIN pedidos p ON p.id = s.pedido_id WHERE s.saga_id = $1',
+      [sagaId]
+    );
+    
+    // Un cliente solo sigue sus propias sagas
+    if (result.rows.length === 0 || !puedeAcceder(req.user, result.rows[0].usuario_id)) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Saga no encontrada');
+    }
+  } catch (error) {
+    logger.error('Error consultando saga para el stream', error);
+    return enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+  
+  const ultimoId = ultimoEventoId(req);
+  await abrirStream(req, res, { sagaId }, ultimoId === null ? 0 : ultimoId);
+});
+
+// Eventos de todos los pedidos del usuario, desde ahora o desde Last-Event-ID
+router.get('/eventos', tokenEnQuery, authenticateToken, async (req, res) => {
+  const filtro = req.user.role === 'admin' ? {} : { usuarioId: req.user.userId };
+  await abrirStream(req, res, filtro, ultimoEventoId(req));
+});
+
+module.exports = router;
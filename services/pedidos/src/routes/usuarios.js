@@ -0,0 +1,334 @@
+// services/pedidos/src/routes/usuarios.js
+// Cuentas de usuario: registro, login, sesiones (refresh tokens), cambio de contraseña,
+// administración y publicación de las claves de firma
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { pool, ejecutarEnTransaccion } = require('../config/database');
+const logger = require('../utils/logger');
+const { authenticateToken, requireAdmin } = require('../utils/auth');
+const { CodigoError, enviarError } = require('../utils/errores');
+const { CodigoCampo, validarBody, validarParams } = require('../utils/validacion');
+const { ACCESS_TOKEN_TTL_SEGUNDOS, firmarAccessToken, rotarClaves, jwks } = require('../utils/jwt');
+const {
+  emitirRefreshToken,
+  rotarRefreshToken,
+  revocarRefreshToken,
+  revocarTokensUsuario
+} = require('../utils/refreshTokens');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = 12;
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt solo usa los primeros 72 bytes
+const PASSWORD_MAX_LENGTH = 72;
+const ROLES = ['admin', 'cliente'];
+
+// Columnas que se exponen (nunca el hash)
+const COLUMNAS_USUARIO = 'id, email, nombre, role, activo, created_at, updated_at';
+
+const PASSWORD = { tipo: 'texto', requerido: true, minimo: PASSWORD_MIN_LENGTH, maximo: PASSWORD_MAX_LENGTH };
+const NOMBRE = { tipo: 'texto', recortar: true, minimo: 1, maximo: 100 };
+
+const ESQUEMA_REGISTRO = {
+  email: { tipo: 'email', requerido: true, maximo: 255 },
+  password: PASSWORD,
+  nombre: NOMBRE
+};
+
+const ESQUEMA_USUARIO_NUEVO = {
+  ...ESQUEMA_REGISTRO,
+  role: { tipo: 'texto', valores: ROLES, porDefecto: 'cliente' }
+};
+
+const ESQUEMA_ACTUALIZACION = {
+  nombre: NOMBRE,
+  role: { tipo: 'texto', valores: ROLES },
+  activo: { tipo: 'booleano' }
+};
+
+// En el login no se valida el formato del email: la respuesta es la misma si no existe
+const ESQUEMA_LOGIN = {
+  email: { tipo: 'texto', requerido: true },
+  password: { tipo: 'texto', requerido: true }
+};
+
+const ESQUEMA_REFRESH = {
+  refreshToken: { tipo: 'texto', requerido: true }
+};
+
+const ESQUEMA_LOGOUT = {
+  refreshToken: { tipo: 'texto', requerido: true },
+  todas: { tipo: 'booleano', porDefecto: false }
+};
+
+const ESQUEMA_PASSWORD = {
+  passwordActual: { tipo: 'texto', requerido: true },
+  passwordNueva: PASSWORD
+};
+
+const ESQUEMA_ID_USUARIO = { id: { tipo: 'entero', requerido: true, minimo: 1 } };
+
+async function crearUsuario({ email, password, nombre, role }) {
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  
+  const result = await pool.query(
+    `INSERT INTO usuarios (email, password_hash, nombre, role)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${COLUMNAS_USUARIO}`,
+    [email.toLowerCase(), passwordHash, nombre || null, role]
+  );
+  return result.rows[0];
+}
+
+// Violación de UNIQUE en PostgreSQL
+function esEmailDuplicado(error) {
+  return error.code === '23505';
+}
+
+function emitirAccessToken(usuario) {
+  return firmarAccessToken({ userId: usuario.id, email: usuario.email, role: usuario.role });
+}
+
+// Registro de clientes
+router.post('/auth/register', validarBody(ESQUEMA_REGISTRO), async (req, res) => {
+  const { email, password, nombre } = req.body;
+  
+  try {
+    const usuario = await crearUsuario({ email, password, nombre, role: 'cliente' });
+    logger.info('Usuario registrado', { userId: usuario.id, email: usuario.email });
+    res.status(201).json(usuario);
+    
+  } catch (error) {
+    if (esEmailDuplicado(error)) {
+      return enviarError(res, CodigoError.EMAIL_DUPLICADO);
+    }
+    logger.error('Error registrando usuario', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Login contra la tabla de usuarios
+router.post('/auth/login', validarBody(ESQUEMA_LOGIN), async (req, res) => {
+  const { email, password } = req.body;
+  
+  try {
+    const result = await pool.query(
+      'SELECT id, email, password_hash, role, activo FROM usuarios WHERE email = $1',
+      [email.toLowerCase()]
+    );
+    const usuario = result.rows[0];
+    
+    // Mismo mensaje si el email no existe o la contraseña no coincide
+    if (!usuario || !(await bcrypt.compare(password, usuario.password_hash))) {
+      logger.warn('Login fallido', { email });
+      return enviarError(res, CodigoError.CREDENCIALES_INVALIDAS);
+    }
+    
+    if (!usuario.activo) {
+      return enviarError(res, CodigoError.CUENTA_DESHABILITADA);
+    }
+    
+    const token = emitirAccessToken(usuario);
+    const { token: refreshToken } = await emitirRefreshToken(pool, usuario.id);
+    
+    logger.info('Login exitoso', { userId: usuario.id });
+    res.json({
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SEGUNDOS,
+      role: usuario.role,
+      userId: usuario.id
+    });
+    
+  } catch (error) {
+    logger.error('Error en login', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Renovar el access token; el refresh token usado queda revocado y se entrega otro
+router.post('/auth/refresh', validarBody(ESQUEMA_REFRESH), async (req, res) => {
+  const { refreshToken } = req.body;
+  
+  try {
+    const sesion = await rotarRefreshToken(refreshToken);
+    if (!sesion) {
+      return enviarError(res, CodigoError.CREDENCIALES_INVALIDAS, 'Refresh token inválido');
+    }
+    
+    res.json({
+      token: emitirAccessToken(sesion.usuario),
+      refreshToken: sesion.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SEGUNDOS,
+      role: sesion.usuario.role,
+      userId: sesion.usuario.id
+    });
+    
+  } catch (error) {
+    logger.error('Error renovando token', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Cerrar la sesión del refresh token (todas = true cierra todas las del usuario).
+// Los access tokens ya emitidos siguen válidos hasta expirar.
+router.post('/auth/logout', validarBody(ESQUEMA_LOGOUT), async (req, res) => {
+  const { refreshToken, todas } = req.body;
+  
+  try {
+    // Mismo resultado si el token no existe, para no revelar cuáles son válidos
+    await revocarRefreshToken(refreshToken, { todas });
+    res.json({ message: 'Sesión cerrada' });
+    
+  } catch (error) {
+    logger.error('Error cerrando sesión', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Claves públicas para verificar los access tokens (RFC 7517)
+router.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(jwks());
+});
+
+// Rotación de la clave de firma; la anterior se sigue publicando hasta que
+// expiren los tokens que firmó
+router.post('/admin/jwt/rotar', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const kid = await rotarClaves();
+    logger.info('Rotación de clave solicitada', { kid, adminId: req.user.userId });
+    res.json({ kid });
+  } catch (error) {
+    logger.error('Error rotando clave de firma', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Cambio de contraseña del usuario autenticado
+router.put('/auth/password', authenticateToken, validarBody(ESQUEMA_PASSWORD), async (req, res) => {
+  const { passwordActual, passwordNueva } = req.body;
+  
+  try {
+    const result = await pool.query(
+      'SELECT password_hash FROM usuarios WHERE id = $1 AND activo = true',
+      [req.user.userId]
+    );
+    
+    if (result.rows.length === 0 || !(await bcrypt.compare(passwordActual, result.rows[0].password_hash))) {
+      return enviarError(res, CodigoError.CREDENCIALES_INVALIDAS, 'Contraseña actual incorrecta');
+    }
+    
+    // La contraseña nueva cierra las sesiones abiertas
+    const passwordHash = await bcrypt.hash(passwordNueva, BCRYPT_ROUNDS);
+    await ejecutarEnTransaccion(async (client) => {
+      await client.query(
+        'UPDATE usuarios SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        [passwordHash, req.user.userId]
+      );
+      await revocarTokensUsuario(client, req.user.userId);
+    });
+    
+    logger.info('Contraseña actualizada', { userId: req.user.userId });
+    res.json({ message: 'Contraseña actualizada' });
+    
+  } catch (error) {
+    logger.error('Error cambiando contraseña', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Administración de usuarios (solo admin)
+router.get('/usuarios', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${COLUMNAS_USUARIO} FROM usuarios ORDER BY id`);
+    res.json(result.rows);
+  } catch (error) {
+    logger.error('Error consultando usuarios', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+router.get('/usuarios/:id', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_USUARIO), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${COLUMNAS_USUARIO} FROM usuarios WHERE id = $1`,
+      [req.params.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Usuario no encontrado');
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error consultando usuario', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+router.post('/usuarios', authenticateToken, requireAdmin, validarBody(ESQUEMA_USUARIO_NUEVO), async (req, res) => {
+  const { email, password, nombre, role } = req.body;
+  
+  try {
+    const usuario = await crearUsuario({ email, password, nombre, role });
+    logger.info('Usuario creado por admin', { userId: usuario.id, role, adminId: req.user.userId });
+    res.status(201).json(usuario);
+    
+  } catch (error) {
+    if (esEmailDuplicado(error)) {
+      return enviarError(res, CodigoError.EMAIL_DUPLICADO);
+    }
+    logger.error('Error creando usuario', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+// Actualizar nombre, rol o estado (activo = false deshabilita la cuenta)
+router.patch('/usuarios/:id', authenticateToken, requireAdmin, validarParams(ESQUEMA_ID_USUARIO), validarBody(ESQUEMA_ACTUALIZACION), async (req, res) => {
+  const { nombre, role, activo } = req.body;
+  const { id } = req.params;
+  
+  // Evita que un admin se quede sin acceso a sí mismo
+  if (id === req.user.userId && (activo === false || (role && role !== 'admin'))) {
+    return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, [{
+      campo: activo === false ? 'activo' : 'role',
+      codigo: CodigoCampo.VALOR_NO_PERMITIDO,
+      mensaje: 'no puedes deshabilitar ni quitar el rol admin a tu propia cuenta'
+    }]);
+  }
+  
+  try {
+    const result = await ejecutarEnTransaccion(async (client) => {
+      const actualizado = await client.query(
+        `UPDATE usuarios
+         SET nombre = COALESCE($1, nombre),
+             role = COALESCE($2, role),
+             activo = COALESCE($3, activo),
+             updated_at = NOW()
+         WHERE id = $4
+         RETURNING ${COLUMNAS_USUARIO}`,
+        [nombre, role, activo, id]
+      );
+      
+      // Una cuenta deshabilitada no puede seguir renovando tokens
+      if (activo === false && actualizado.rows.length > 0) {
+        await revocarTokensUsuario(client, id);
+      }
+      return actualizado;
+    });
+    
+    if (result.rows.length === 0) {
+      return enviarError(res, CodigoError.NO_ENCONTRADO, 'Usuario no encontrado');
+    }
+    
+    logger.info('Usuario actualizado', { userId: id, role, activo, adminId: req.user.userId });
+    res.json(result.rows[0]);
+    
+  } catch (error) {
+    logger.error('Error actualizando usuario', error);
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+// services/pedidos/src/saga/definicion.js
+// Definición declarativa de las Sagas de reserva y de cancelación: pasos en orden, la
+// respuesta que cierra cada uno, su compensación y las transiciones permitidas del
+// estado del pedido.
+
+// Estados de la Saga
+const SagaState = {
+  INICIADA: 'INICIADA',
+  INVENTARIO_RESERVADO: 'INVENTARIO_RESERVADO',
+  // Pago PSE/efectivo iniciado, esperando la confirmación asíncrona de la pasarela
+  PAGO_PENDIENTE: 'PAGO_PENDIENTE',
+  PAGO_PROCESADO: 'PAGO_PROCESADO',
+  COMPLETADA: 'COMPLETADA',
+  // Pagos reembolsó todo el pedido después de completarlo
+  REEMBOLSADO: 'REEMBOLSADO',
+  CANCELADA: 'CANCELADA',
+  COMPENSANDO: 'COMPENSANDO',
+  // Alguna compensación falló en el participante: requiere intervención manual
+  COMPENSACION_FALLIDA: 'COMPENSACION_FALLIDA',
+  // Saga de cancelación de un pedido completado en curso
+  CANCELANDO: 'CANCELANDO',
+  // La cancelación reembolsó pero no pudo terminar: requiere intervención manual
+  CANCELACION_FALLIDA: 'CANCELACION_FALLIDA'
+};
+
+// Tipo de saga (columna sagas.tipo): un pedido tiene su saga de reserva y, si se
+// cancela después de completado, una o más sagas de cancelación
+const TipoSaga = {
+  RESERVA: 'RESERVA',
+  CANCELACION: 'CANCELACION'
+};
+
+// Los plazos deben quedar muy por debajo de los 10 minutos que inventario mantiene
+// una reserva temporal antes de expirarla
+const RESERVA_SAGA = {
+  tipo: TipoSaga.RESERVA,
+  pasoInicial: 'CREAR_PEDIDO',
+  estadoInicial: SagaState.INICIADA,
+  compensable: true,
+  pasos: [
+    {
+      comando: 'RESERVAR_INVENTARIO',
+      respuesta: 'INVENTARIO_RESERVADO',
+      estadoExito: SagaState.INVENTARIO_RESERVADO,
+      razonFallo: 'INVENTARIO_NO_DISPONIBLE',
+      timeoutMs: 30 * 1000,
+      compensacion: {
+        comando: 'LIBERAR_INVENTARIO',
+        respuesta: 'INVENTARIO_LIBERADO',
+        timeoutMs: 60 * 1000
+      }
+    },
+    {
+      comando: 'PROCESAR_PAGO',
+      respuesta: 'PAGO_PROCESADO',
+      estadoExito: SagaState.PAGO_PROCESADO,
+      razonFallo: 'PAGO_RECHAZADO',
+      timeoutMs: 60 * 1000,
+      // Pagos responde PAGO_PENDIENTE mientras espera el webhook de la pasarela; el paso
+      // sigue abierto con un plazo mayor que la expiración del pago en pagos (5 minutos)
+      respuestaIntermedia: {
+        respuesta: 'PAGO_PENDIENTE',
+        estado: SagaState.PAGO_PENDIENTE,
+        timeoutMs: 7 * 60 * 1000
+      },
+      compensacion: {
+        comando: 'COMPENSAR_PAGO',
+        respuesta: 'PAGO_REVERTIDO',
+        timeoutMs: 60 * 1000
+      }
+    },
+    {
+      // Inventario confirma la reserva para que no expire; no tiene compensación propia
+      comando: 'CONFIRMAR_PEDIDO',
+      respuesta: 'PEDIDO_CONFIRMADO',
+      estadoExito: SagaState.COMPLETADA,
+      razonFallo: 'RESERVA_EXPIRADA',
+      timeoutMs: 30 * 1000,
+      compensacion: null
+    }
+  ]
+};
+
+// Cancelación de un pedido completado. Primero el reembolso, que depende de la
+// pasarela y puede fallar; después la devolución del stock. No hay compensaciones: si
+// el reembolso falla la cancelación se rechaza y el pedido sigue COMPLETADA, y si falla
+// algo después del reembolso el pedido queda CANCELACION_FALLIDA.
+const CANCELACION_SAGA = {
+  tipo: TipoSaga.CANCELACION,
+  pasoInicial: 'SOLICITAR_CANCELACION',
+  estadoInicial: SagaState.CANCELANDO,
+  compensable: false,
+  pasos: [
+    {
+      // Monto según la política de cancelación; el pedido sigue CANCELANDO
+      comando: 'REEMBOLSAR_PAGO',
+      respuesta: 'REEMBOLSO_PROCESADO',
+      estadoExito: null,
+      razonFallo: 'REEMBOLSO_RECHAZADO',
+      timeoutMs: 60 * 1000,
+      compensacion: null
+    },
+    {
+      comando: 'DEVOLVER_INVENTARIO',
+      respuesta: 'INVENTARIO_DEVUELTO',
+      estadoExito: SagaState.CANCELADA,
+      razonFallo: 'INVENTARIO_NO_DEVUELTO',
+      timeoutMs: 30 * 1000,
+      compensacion: null
+    }
+  ]
+};
+
+const DEFINICIONES = {
+  [TipoSaga.RESERVA]: RESERVA_SAGA,
+  [TipoSaga.CANCELACION]: CANCELACION_SAGA
+};
+
+// Transiciones permitidas del estado del pedido
+const TRANSICIONES = {
+  [SagaState.INICIADA]: [SagaState.INVENTARIO_RESERVADO, SagaState.COMPENSANDO],
+  [SagaState.INVENTARIO_RESERVADO]: [SagaState.PAGO_PROCESADO, SagaState.PAGO_PENDIENTE, SagaState.COMPENSANDO],
+  [SagaState.PAGO_PENDIENTE]: [SagaState.PAGO_PROCESADO, SagaState.COMPENSANDO],
+  [SagaState.PAGO_PROCESADO]: [SagaState.COMPLETADA, SagaState.COMPENSANDO],
+  [SagaState.COMPENSANDO]: [SagaState.CANCELADA, SagaState.COMPENSACION_FALLIDA],
+  // Un operador resuelve la compensación fallida y cierra la saga
+  [SagaState.COMPENSACION_FALLIDA]: [SagaState.CANCELADA],
+  [SagaState.COMPLETADA]: [SagaState.REEMBOLSADO, SagaState.CANCELANDO],
+  [SagaState.REEMBOLSADO]: [],
+  // Cancelación: terminada, rechazada (reembolso fallido) o pendiente de intervención
+  [SagaState.CANCELANDO]: [SagaState.CANCELADA, SagaState.COMPLETADA, SagaState.CANCELACION_FALLIDA],
+  [SagaState.CANCELACION_FALLIDA]: [SagaState.CANCELADA],
+  [SagaState.CANCELADA]: []
+};
+
+// Índice de todos los comandos que esperan respuesta (pasos y compensaciones). Los
+// nombres de comandos y respuestas no se repiten entre sagas.
+const COMANDOS = {};
+for (const definicion of Object.values(DEFINICIONES)) {
+  for (const paso of definicion.pasos) {
+    COMANDOS[paso.comando] = { paso, esCompensacion: false, respuesta: paso.respuesta, timeoutMs: paso.timeoutMs };
+    
+    if (paso.compensacion) {
+      const { comando, respuesta, timeoutMs } = paso.compensacion;
+      COMANDOS[comando] = { paso, esCompensacion: true, respuesta, timeoutMs };
+    }
+  }
+}
+
+function definicionDe(saga) {
+  return DEFINICIONES[saga.tipo];
+}
+
+function comandoDe(nombre) {
+  return COMANDOS[nombre];
+}
+
+// Comando al que corresponde la respuesta recibida. intermedia indica que la respuesta
+// no cierra el comando (p. ej. PAGO_PENDIENTE)
+function comandoPorRespuesta(evento) {
+  const nombre = Object.keys(COMANDOS).find((comando) => COMANDOS[comando].respuesta === evento);
+  if (nombre) return { nombre, ...COMANDOS[nombre], intermedia: false };
+  
+  const paso = Object.values(DEFINICIONES)
+    .flatMap((definicion) => definicion.pasos)
+    .find((p) => p.respuestaIntermedia && p.respuestaIntermedia.respuesta === evento);
+  return paso ? { nombre: paso.comando, ...COMANDOS[paso.comando], intermedia: true } : undefined;
+}
+
+function transicionPermitida(desde, hasta) {
+  return (TRANSICIONES[desde] || []).includes(hasta);
+}
+
+module.exports = {
+  SagaState,
+  TipoSaga,
+  RESERVA_SAGA,
+  CANCELACION_SAGA,
+  TRANSICIONES,
+  definicionDe,
+  comandoDe,
+  comandoPorRespuesta,
+  transicionPermitida
+};
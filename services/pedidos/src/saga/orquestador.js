@@ -0,0 +1,498 @@
+// services/pedidos/src/saga/orquestador.js
+// Orquestador de las Sagas de reserva y de cancelación según su definición declarativa
+// (la de cada saga según su tipo). Cada transición
+// corre dentro de una transacción: estado del pedido, historial y comandos (vía outbox)
+// se confirman juntos.
+const { pool, ejecutarEnTransaccion } = require('../config/database');
+const logger = require('../utils/logger');
+const { guardarEnOutbox } = require('../utils/outbox');
+const { registrarMensaje } = require('../utils/inbox');
+const { registrarEvento } = require('../utils/eventosSaga');
+const {
+  sagasIniciadas,
+  sagasCompletadas,
+  sagasCompensadas,
+  duracionPasoSaga
+} = require('../utils/metricas');
+const {
+  SagaState,
+  RESERVA_SAGA,
+  definicionDe,
+  comandoDe,
+  comandoPorRespuesta,
+  transicionPermitida
+} = require('./definicion');
+
+const SAGA_MAX_REINTENTOS_PASO = 2;
+
+// Transición del pedido que la saga no permite: reintentar la respuesta no la corrige
+class ErrorTransicion extends Error {
+  constructor(estadoActual, estado) {
+    super(`Transición de Saga no permitida: ${estadoActual} -> ${estado}`);
+    this.name = 'ErrorTransicion';
+  }
+}
+
+// Función para publicar eventos de Saga (vía outbox, dentro de la transacción del client)
+async function publishSagaEvent(client, sagaId, evento, payload) {
+  const message = {
+    sagaId,
+    evento,
+    payload,
+    timestamp: new Date().toISOString()
+  };
+  
+  await guardarEnOutbox(client, message);
+  logger.info('Evento Saga registrado en outbox', { sagaId, evento });
+}
+
+// Actualizar estado de Saga (historial en saga_estados). El evento para los streams
+// no lleva el payload, que puede incluir datos de pago.
+async function updateSagaState(client, sagaId, paso, estado, errorMessage = null, payload = null) {
+  await client.query(
+    'INSERT INTO saga_estados (saga_id, paso, estado, error_message, payload) VALUES ($1, $2, $3, $4, $5)',
+    [sagaId, paso, estado, errorMessage, payload]
+  );
+  await registrarEvento(client, sagaId, 'PASO', { paso, estado, error: errorMessage });
+}
+
+// Actualizar estado del pedido, solo por una transición permitida
+async function updatePedidoState(client, saga, estado) {
+  if (!transicionPermitida(saga.estado, estado)) {
+    throw new ErrorTransicion(saga.estado, estado);
+  }
+  
+  await client.query(
+    'UPDATE pedidos SET estado = $1, updated_at = NOW() WHERE id = $2',
+    [estado, saga.pedido_id]
+  );
+  await registrarEvento(client, saga.saga_id, 'PEDIDO', { estado, estadoAnterior: saga.estado });
+  saga.estado = estado;
+}
+
+// Leer la saga con el estado de su pedido, bloqueándola hasta el fin de la transacción
+async function bloquearSaga(client, sagaId) {
+  const result = await client.query(
+    `SELECT s.*, p.estado
+     FROM sagas s JOIN pedidos p ON p.id = s.pedido_id
+     WHERE s.saga_id = $1
+     FOR UPDATE OF s`,
+    [sagaId]
+  );
+  return result.rows[0];
+}
+
+async function guardarPasosCompletados(client, saga) {
+  await client.query(
+    'UPDATE sagas SET pasos_completados = $1, updated_at = NOW() WHERE saga_id = $2',
+    [JSON.stringify(saga.pasos_completados), saga.saga_id]
+  );
+}
+
+// Payload de un comando: datos del pedido y, en compensaciones, la razón. Los datos de
+// pago solo viajan en PROCESAR_PAGO.
+function payloadDeComando(saga, comando) {
+  const { datosPago, ...datos } = saga.payload;
+  const payload = comando === 'PROCESAR_PAGO' ? saga.payload : datos;
+  return comandoDe(comando).esCompensacion
+    ? { ...payload, razon: saga.razon_compensacion }
+    : payload;
+}
+
+// Publicar un comando que espera respuesta y fijar su plazo en la saga
+async function enviarComando(client, saga, comando) {
+  await publishSagaEvent(client, saga.saga_id, comando, payloadDeComando(saga, comando));
+  await client.query(
+    `UPDATE sagas
+     SET paso_pendiente = $1, intentos = 0, paso_iniciado_en = NOW(),
+         deadline = NOW() + $2 * INTERVAL '1 millisecond', updated_at = NOW()
+     WHERE saga_id = $3`,
+    [comando, comandoDe(comando).timeoutMs, saga.saga_id]
+  );
+  saga.paso_pendiente = comando;
+}
+
+// resultado (OK, FALLIDO o TIMEOUT) registra la duración del paso en las métricas;
+// sin resultado el paso se cierra sin medirlo
+async function cerrarPasoPendiente(client, saga, resultado = null) {
+  const result = await client.query(
+    `UPDATE sagas
+     SET paso_pendiente = NULL, deadline = NULL, updated_at = NOW()
+     WHERE saga_id = $1
+     RETURNING EXTRACT(EPOCH FROM NOW() - paso_iniciado_en)::float AS duracion`,
+    [saga.saga_id]
+  );
+  
+  const { duracion } = result.rows[0];
+  if (resultado && saga.paso_pendiente && duracion !== null) {
+    const etiquetas = { tipo: saga.tipo, paso: saga.paso_pendiente, resultado };
+    client.alConfirmar(() => duracionPasoSaga.observe(etiquetas, duracion));
+  }
+  saga.paso_pendiente = null;
+}
+
+// Crear una saga del pedido y enviar su primer paso. estado es el estado actual del
+// pedido: uno nuevo está INICIADA y la cancelación parte de uno COMPLETADA.
+async function iniciarSaga(client, { sagaId, pedidoId, payload, definicion = RESERVA_SAGA, estado = SagaState.INICIADA }) {
+  await client.query(
+    'INSERT INTO sagas (saga_id, pedido_id, tipo, payload) VALUES ($1, $2, $3, $4)',
+    [sagaId, pedidoId, definicion.tipo, payload]
+  );
+  
+  await updateSagaState(client, sagaId, definicion.pasoInicial, 'COMPLETADO');
+  
+  const saga = {
+    saga_id: sagaId,
+    pedido_id: pedidoId,
+    tipo: definicion.tipo,
+    payload,
+    estado,
+    pasos_completados: []
+  };
+  if (estado !== definicion.estadoInicial) {
+    await updatePedidoState(client, saga, definicion.estadoInicial);
+  }
+  await enviarComando(client, saga, definicion.pasos[0].comando);
+  client.alConfirmar(() => sagasIniciadas.inc({ tipo: definicion.tipo }));
+}
+
+// Procesar respuestas de la Saga
+async function processSagaResponse(event) {
+  const { sagaId, evento, success, payload, messageId } = event;
+  
+  logger.info('Procesando respuesta Saga', { sagaId, evento, success, messageId });
+  
+  try {
+    // Inbox, cambio de estado y siguiente comando se confirman juntos
+    await ejecutarEnTransaccion(async (client) => {
+      if (!(await registrarMensaje(client, event))) return;
+      
+      const saga = await bloquearSaga(client, sagaId);
+      if (!saga) {
+        logger.warn('Respuesta para una saga inexistente', { sagaId, evento, messageId });
+        return;
+      }
+      
+      // Notificación de pagos que no responde a ningún comando de la saga
+      if (evento === 'PAGO_REEMBOLSADO') {
+        await aplicarReembolso(client, saga, payload);
+        return;
+      }
+      
+      // Solo se acepta la respuesta del comando que la saga está esperando
+      const comando = comandoPorRespuesta(evento);
+      if (!comando || saga.paso_pendiente !== comando.nombre) {
+        await rechazarRespuesta(client, saga, evento, messageId);
+        return;
+      }
+      
+      if (comando.intermedia) {
+        await aplicarRespuestaIntermedia(client, saga, comando.paso, payload);
+      } else if (comando.esCompensacion) {
+        await aplicarRespuestaCompensacion(client, saga, comando, success, payload);
+      } else {
+        await aplicarRespuestaPaso(client, saga, comando.paso, success, payload);
+      }
+    });
+  } catch (error) {
+    // Un error transitorio (base de datos, outbox) se propaga y el consumidor reintenta el
+    // mensaje; si los reintentos se agotan, el plazo del paso vence y la saga se compensa
+    if (!(error instanceof ErrorTransicion)) throw error;
+    
+    logger.error('Error procesando respuesta Saga', error);
+    await ejecutarEnTransaccion(async (client) => {
+      if (!(await registrarMensaje(client, event))) return;
+      
+      // El paso en curso pudo haberse ejecutado en el participante: se compensa como
+      // un paso vencido
+      const saga = await bloquearSaga(client, sagaId);
+      if (saga) await compensateSaga(client, saga, 'ERROR_INTERNO', saga.paso_pendiente);
+    });
+  }
+}
+
+// Respuestas tardías (p. ej. después de un timeout) o fuera de orden
+async function rechazarRespuesta(client, saga, evento, messageId) {
+  logger.warn('Respuesta Saga rechazada', {
+    sagaId: saga.saga_id,
+    evento,
+    messageId,
+    estado: saga.estado,
+    pasoPendiente: saga.paso_pendiente
+  });
+  
+  await updateSagaState(
+    client,
+    saga.saga_id,
+    evento,
+    'RECHAZADA',
+    `Respuesta inesperada en estado ${saga.estado} (esperando ${saga.paso_pendiente || 'ninguna'})`
+  );
+}
+
+async function aplicarRespuestaPaso(client, saga, paso, success, payload) {
+  await cerrarPasoPendiente(client, saga, success ? 'OK' : 'FALLIDO');
+  
+  if (!success) {
+    await updateSagaState(client, saga.saga_id, paso.comando, 'FALLIDO', payload && payload.error);
+    // El participante puede indicar una razón más precisa (p. ej. PRECIO_CAMBIADO)
+    await compensateSaga(client, saga, (payload && payload.razon) || paso.razonFallo);
+    return;
+  }
+  
+  await updateSagaState(client, saga.saga_id, paso.comando, 'COMPLETADO', null, payload && payload.detalle);
+  if (paso.estadoExito) {
+    await updatePedidoState(client, saga, paso.estadoExito);
+  }
+  
+  saga.pasos_completados.push(paso.comando);
+  await guardarPasosCompletados(client, saga);
+  
+  // Siguiente paso de la definición; tras el último la saga queda en el estadoExito
+  // del último paso (COMPLETADA o CANCELADA)
+  const siguiente = definicionDe(saga).pasos[saga.pasos_completados.length];
+  if (siguiente) {
+    await enviarComando(client, saga, siguiente.comando);
+  } else {
+    client.alConfirmar(() => sagasCompletadas.inc({ tipo: saga.tipo }));
+  }
+}
+
+// El participante aceptó el paso pero el resultado llegará después: la saga pasa al
+// estado intermedio y el plazo del paso se extiende. Un reintento que vuelve a
+// responder lo mismo solo renueva el plazo.
+async function aplicarRespuestaIntermedia(client, saga, paso, payload) {
+  const { estado, timeoutMs } = paso.respuestaIntermedia;
+  
+  if (saga.estado !== estado) {
+    await updatePedidoState(client, saga, estado);
+    await updateSagaState(client, saga.saga_id, paso.comando, 'PENDIENTE', null, payload && { transactionId: payload.transactionId });
+  }
+  
+  await client.query(
+    `UPDATE sagas
+     SET intentos = 0, deadline = NOW() + $1 * INTERVAL '1 millisecond', updated_at = NOW()
+     WHERE saga_id = $2`,
+    [timeoutMs, saga.saga_id]
+  );
+  logger.info('Paso de Saga pendiente de confirmación', { sagaId: saga.saga_id, comando: paso.comando });
+}
+
+// La confirmación del participante (con el detalle de lo devuelto) queda en saga_estados
+async function aplicarRespuestaCompensacion(client, saga, comando, success, payload) {
+  await cerrarPasoPendiente(client, saga, success ? 'OK' : 'FALLIDO');
+  
+  if (success) {
+    await updateSagaState(client, saga.saga_id, comando.nombre, 'COMPLETADO', null, payload && payload.detalle);
+  } else {
+    // El participante no pudo compensar: se siguen las demás compensaciones y la saga
+    // queda marcada para intervención manual
+    await updateSagaState(client, saga.saga_id, comando.nombre, 'FALLIDO', payload && payload.error);
+    await client.query(
+      'UPDATE sagas SET requiere_intervencion = true, updated_at = NOW() WHERE saga_id = $1',
+      [saga.saga_id]
+    );
+    saga.requiere_intervencion = true;
+    logger.error('Compensación fallida, requiere intervención manual', {
+      sagaId: saga.saga_id,
+      comando: comando.nombre,
+      error: payload && payload.error
+    });
+  }
+  
+  saga.pasos_completados = saga.pasos_completados.filter((paso) => paso !== comando.paso.comando);
+  await guardarPasosCompletados(client, saga);
+  
+  await siguienteCompensacion(client, saga);
+}
+
+// Compensar Saga (rollback) de los pasos completados, en orden inverso. pasoIncierto
+// es un paso que venció sin respuesta: pudo haberse ejecutado, así que también se
+// compensa (las compensaciones son idempotentes en los participantes).
+async function compensateSaga(client, saga, razon, pasoIncierto = null) {
+  if (!definicionDe(saga).compensable) {
+    await detenerCancelacion(client, saga, razon, pasoIncierto);
+    return;
+  }
+  
+  if (!transicionPermitida(saga.estado, SagaState.COMPENSANDO)) {
+    logger.warn('Saga no compensable en su estado actual', { sagaId: saga.saga_id, estado: saga.estado, razon });
+    return;
+  }
+  
+  logger.warn('Iniciando compensación Saga', { sagaId: saga.saga_id, razon });
+  client.alConfirmar(() => sagasCompensadas.inc({ tipo: saga.tipo, razon }));
+  
+  await updatePedidoState(client, saga, SagaState.COMPENSANDO);
+  await cerrarPasoPendiente(client, saga, pasoIncierto && 'TIMEOUT');
+  
+  if (pasoIncierto && !saga.pasos_completados.includes(pasoIncierto)) {
+    saga.pasos_completados.push(pasoIncierto);
+    await guardarPasosCompletados(client, saga);
+  }
+  
+  saga.razon_compensacion = razon;
+  await client.query(
+    'UPDATE sagas SET razon_compensacion = $1, updated_at = NOW() WHERE saga_id = $2',
+    [razon, saga.saga_id]
+  );
+  await updateSagaState(client, saga.saga_id, 'COMPENSACION', 'INICIADA', razon);
+  
+  await siguienteCompensacion(client, saga);
+}
+
+// Enviar la compensación del último paso completado; sin pasos pendientes de
+// compensar, la saga queda CANCELADA (o COMPENSACION_FALLIDA si alguna falló)
+async function siguienteCompensacion(client, saga) {
+  const porCompensar = [...saga.pasos_completados].reverse()
+    .map((comando) => comandoDe(comando).paso)
+    .find((paso) => paso.compensacion);
+    
+  if (porCompensar) {
+    await enviarComando(client, saga, porCompensar.compensacion.comando);
+    return;
+  }
+  
+  if (saga.requiere_intervencion) {
+    await updatePedidoState(client, saga, SagaState.COMPENSACION_FALLIDA);
+    await updateSagaState(client, saga.saga_id, 'COMPENSACION', 'FALLIDO', 'Requiere intervención manual');
+    logger.error('Saga con compensación fallida', { sagaId: saga.saga_id, razon: saga.razon_compensacion });
+    return;
+  }
+  
+  await updatePedidoState(client, saga, SagaState.CANCELADA);
+  await updateSagaState(client, saga.saga_id, 'COMPENSACION', 'COMPLETADO');
+  logger.info('Saga compensada', { sagaId: saga.saga_id, razon: saga.razon_compensacion });
+}
+
+// La saga de cancelación no deshace sus pasos. Si el reembolso no llegó a ejecutarse,
+// la cancelación se rechaza y el pedido vuelve a COMPLETADA. Si pudo ejecutarse (paso
+// completado o vencido sin respuesta), el pedido queda para intervención manual.
+async function detenerCancelacion(client, saga, razon, pasoIncierto) {
+  if (saga.estado !== SagaState.CANCELANDO) {
+    logger.warn('Cancelación no detenible en su estado actual', { sagaId: saga.saga_id, estado: saga.estado, razon });
+    return;
+  }
+  
+  client.alConfirmar(() => sagasCompensadas.inc({ tipo: saga.tipo, razon }));
+  await cerrarPasoPendiente(client, saga, pasoIncierto && 'TIMEOUT');
+  saga.razon_compensacion = razon;
+  
+  const reembolsoPosible = saga.pasos_completados.length > 0 || pasoIncierto;
+  await client.query(
+    'UPDATE sagas SET razon_compensacion = $1, requiere_intervencion = $2, updated_at = NOW() WHERE saga_id = $3',
+    [razon, Boolean(reembolsoPosible), saga.saga_id]
+  );
+  
+  if (reembolsoPosible) {
+    await updatePedidoState(client, saga, SagaState.CANCELACION_FALLIDA);
+    await updateSagaState(client, saga.saga_id, 'CANCELACION', 'FALLIDO', `Requiere intervención manual (${razon})`);
+    logger.error('Cancelación fallida después del reembolso', { sagaId: saga.saga_id, razon });
+    return;
+  }
+  
+  await updatePedidoState(client, saga, SagaState.COMPLETADA);
+  await updateSagaState(client, saga.saga_id, 'CANCELACION', 'RECHAZADA', razon);
+  logger.warn('Cancelación rechazada, el pedido sigue completado', { sagaId: saga.saga_id, razon });
+}
+
+// Cierre manual de una saga con compensación o cancelación fallida, una vez que un
+// operador devolvió el dinero o el stock por fuera del sistema. Devuelve false si la
+// saga no está esperando intervención.
+async function resolverIntervencion(client, sagaId, { nota, usuarioId }) {
+  const saga = await bloquearSaga(client, sagaId);
+  if (!saga || !saga.requiere_intervencion) return false;
+  if (![SagaState.COMPENSACION_FALLIDA, SagaState.CANCELACION_FALLIDA].includes(saga.estado)) return false;
+  
+  await updatePedidoState(client, saga, SagaState.CANCELADA);
+  await client.query(
+    'UPDATE sagas SET requiere_intervencion = false, updated_at = NOW() WHERE saga_id = $1',
+    [sagaId]
+  );
+  await updateSagaState(client, sagaId, 'INTERVENCION_MANUAL', 'COMPLETADO', nota || null, { usuarioId });
+  logger.info('Intervención manual registrada', { sagaId, usuarioId });
+  return true;
+}
+
+// Reembolso total hecho en pagos sobre un pedido ya completado
+async function aplicarReembolso(client, saga, payload) {
+  if (!transicionPermitida(saga.estado, SagaState.REEMBOLSADO)) {
+    logger.warn('Reembolso para un pedido no completado', { sagaId: saga.saga_id, estado: saga.estado });
+    await updateSagaState(
+      client,
+      saga.saga_id,
+      'REEMBOLSO',
+      'RECHAZADA',
+      `Reembolso total con el pedido en estado ${saga.estado}`,
+      payload
+    );
+    return;
+  }
+  
+  await updatePedidoState(client, saga, SagaState.REEMBOLSADO);
+  await updateSagaState(client, saga.saga_id, 'REEMBOLSO', 'COMPLETADO', null, payload);
+  logger.info('Pedido reembolsado', {
+    sagaId: saga.saga_id,
+    pedidoId: saga.pedido_id,
+    montoReembolsado: payload.montoReembolsado
+  });
+}
+
+// Worker de recuperación: reintenta o compensa los pasos que vencieron su plazo.
+// Como los plazos están en la tabla sagas, al reiniciar retoma las sagas en curso.
+let revisionEnCurso = false;
+
+async function revisarSagasVencidas() {
+  if (revisionEnCurso) return;
+  revisionEnCurso = true;
+  
+  try {
+    const vencidas = await pool.query(
+      'SELECT saga_id FROM sagas WHERE deadline < NOW() ORDER BY deadline LIMIT 50'
+    );
+    
+    for (const { saga_id: sagaId } of vencidas.rows) {
+      try {
+        await ejecutarEnTransaccion((client) => recuperarSaga(client, sagaId));
+      } catch (error) {
+        logger.error('Error recuperando saga vencida', { sagaId, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Error revisando sagas vencidas', error);
+  } finally {
+    revisionEnCurso = false;
+  }
+}
+
+async function recuperarSaga(client, sagaId) {
+  // SKIP LOCKED: si la respuesta se está procesando en este momento, no se toca
+  const vencida = await client.query(
+    'SELECT saga_id FROM sagas WHERE saga_id = $1 AND deadline < NOW() FOR UPDATE SKIP LOCKED',
+    [sagaId]
+  );
+  if (vencida.rows.length === 0) return;
+  
+  const saga = await bloquearSaga(client, sagaId);
+  const comando = saga.paso_pendiente;
+  
+  // Las compensaciones se reintentan sin límite; los pasos, hasta SAGA_MAX_REINTENTOS_PASO
+  if (comandoDe(comando).esCompensacion || saga.intentos < SAGA_MAX_REINTENTOS_PASO) {
+    // Los participantes son idempotentes por sagaId, reenviar el comando es seguro
+    await publishSagaEvent(client, sagaId, comando, payloadDeComando(saga, comando));
+    await client.query(
+      `UPDATE sagas
+       SET intentos = intentos + 1, deadline = NOW() + $1 * INTERVAL '1 millisecond', updated_at = NOW()
+       WHERE saga_id = $2`,
+      [comandoDe(comando).timeoutMs, sagaId]
+    );
+    await updateSagaState(client, sagaId, comando, 'REINTENTO', `Sin respuesta, reintento ${saga.intentos + 1}`);
+    logger.warn('Paso de Saga vencido, reintentando', { sagaId, comando, intento: saga.intentos + 1 });
+    
+  } else {
+    await updateSagaState(client, sagaId, comando, 'TIMEOUT', `Sin respuesta tras ${saga.intentos + 1} intentos`);
+    await compensateSaga(client, saga, `TIMEOUT_${comando}`, comando);
+  }
+}
+
+module.exports = { iniciarSaga, processSagaResponse, revisarSagasVencidas, resolverIntervencion };
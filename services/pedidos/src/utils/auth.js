@@ -0,0 +1,41 @@
+// services/pedidos/src/utils/auth.js
+const { verificarAccessToken } = require('./jwt');
+const { CodigoError, enviarError } = require('./errores');
+
+// Middleware JWT: access tokens RS256 firmados por este servicio
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  
+  if (!token) {
+    return enviarError(res, CodigoError.TOKEN_REQUERIDO);
+  }
+  
+  verificarAccessToken(token)
+    .then((user) => {
+      req.user = user;
+      next();
+    })
+    .catch((err) => {
+      // 401 para que el cliente sepa que debe renovar con su refresh token
+      if (err.name === 'TokenExpiredError') {
+        return enviarError(res, CodigoError.TOKEN_EXPIRADO);
+      }
+      enviarError(res, CodigoError.TOKEN_INVALIDO);
+    });
+};
+
+// Solo administradores
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return enviarError(res, CodigoError.ACCESO_DENEGADO);
+  }
+  next();
+};
+
+// Un admin accede a todo; un cliente solo a lo suyo
+function puedeAcceder(user, usuarioId) {
+  return user.role === 'admin' || (usuarioId != null && Number(usuarioId) === user.userId);
+}
+
+module.exports = { authenticateToken, requireAdmin, puedeAcceder };
@@ -0,0 +1,219 @@
+// services/pedidos/src/utils/eventosSaga.js
+// Eventos de las sagas para los clientes suscritos por Server-Sent Events. Cada paso
+// (saga_estados) y cada cambio de estado del pedido se guarda en saga_eventos dentro
+// de la transacción de la saga y se anuncia con pg_notify. Postgres entrega el aviso
+// solo si la transacción confirma, y lo entrega a todas las instancias de pedidos.
+// La tabla permite retomar un stream desde Last-Event-ID.
+// Los ids no llegan en orden: el id se asigna al insertar, pero el evento se publica al
+// confirmar la transacción, así un evento con id menor puede llegar después de uno
+// mayor. Por eso cada stream descarta los repetidos por id, y al repetir desde
+// Last-Event-ID también se reenvían los eventos cercanos a él (el cliente descarta por
+// id los que ya tenía).
+const { pool } = require('../config/database');
+const logger = require('./logger');
+
+const CANAL = 'saga_eventos';
+const REINTENTO_ESCUCHA_MS = 5000;
+const LOTE_REPETICION = 500;
+// Ninguna transacción de la saga dura tanto: un evento confirma a lo sumo este tiempo
+// después de los que se crearon antes que él
+const MARGEN_ORDEN_MS = 30 * 1000;
+// Los eventos se guardan un día: alcanza para retomar cualquier stream cortado
+const RETENCION_HORAS = 24;
+
+const suscriptores = new Set();
+let escuchando = false;
+let clienteEscucha = null;
+let detenido = false;
+
+// Registrar un evento de la saga (usar el client de la transacción en curso). El
+// dueño del pedido se guarda para filtrar los streams de "mis pedidos".
+async function registrarEvento(client, sagaId, tipo, datos) {
+  await client.query(
+    `WITH evento AS (
+       INSERT INTO saga_eventos (saga_id, pedido_id, usuario_id, tipo, datos)
+       SELECT s.saga_id, s.pedido_id, p.usuario_id, $2, $3
+       FROM sagas s JOIN pedidos p ON p.id = s.pedido_id
+       WHERE s.saga_id = $1
+       RETURNING id
+     )
+     SELECT pg_notify('${CANAL}', id::text) FROM evento`,
+    [sagaId, tipo, datos]
+  );
+}
+
+function formatear(fila) {
+  return {
+    id: fila.id,
+    sagaId: fila.saga_id,
+    pedidoId: fila.pedido_id,
+    tipo: fila.tipo,
+    ...fila.datos,
+    timestamp: fila.created_at
+  };
+}
+
+function coincide(filtro, fila) {
+  if (filtro.sagaId) return fila.saga_id === filtro.sagaId;
+  if (filtro.usuarioId != null) return fila.usuario_id === filtro.usuarioId;
+  return true;
+}
+
+// El id del evento es el de saga_eventos: el cliente lo devuelve en Last-Event-ID
+function enviar(suscriptor, fila) {
+  if (suscriptor.enviados.has(fila.id)) return;
+  
+  suscriptor.res.write(`id: ${fila.id}\nevent: ${fila.tipo.toLowerCase()}\ndata: ${JSON.stringify(formatear(fila))}\n\n`);
+  recordar(suscriptor.enviados, fila.id);
+}
+
+// Ids enviados por el stream, con la hora del envío. Un repetido solo llega mientras se
+// cruzan la repetición y los avisos en vivo: pasado el margen, el id se olvida.
+function recordar(enviados, id) {
+  const ahora = Date.now();
+  enviados.set(id, ahora);
+  for (const [enviado, enviadoEn] of enviados) {
+    if (ahora - enviadoEn < MARGEN_ORDEN_MS) break;
+    enviados.delete(enviado);
+  }
+}
+
+async function despachar(id) {
+  if (suscriptores.size === 0) return;
+  
+  const result = await pool.query('SELECT * FROM saga_eventos WHERE id = $1', [id]);
+  const fila = result.rows[0];
+  if (!fila) return;
+  
+  for (const suscriptor of suscriptores) {
+    if (!coincide(suscriptor.filtro, fila)) continue;
+    // Mientras se repiten los eventos perdidos, los nuevos esperan en cola
+    if (suscriptor.pendientes) {
+      suscriptor.pendientes.push(fila);
+    } else {
+      enviar(suscriptor, fila);
+    }
+  }
+}
+
+// Conexión dedicada con LISTEN; si se pierde, se reabre
+async function iniciarEscucha() {
+  if (escuchando || detenido) return;
+  escuchando = true;
+  
+  let client;
+  try {
+    client = await pool.connect();
+    clienteEscucha = client;
+    client.on('notification', (mensaje) => {
+      despachar(parseInt(mensaje.payload)).catch((error) => {
+        logger.error('Error despachando evento de saga', { id: mensaje.payload, error: error.message });
+      });
+    });
+    client.on('error', (error) => {
+      logger.error('Conexión de eventos de saga perdida', { error: error.message });
+      client.release(error);
+      clienteEscucha = null;
+      escuchando = false;
+      setTimeout(iniciarEscucha, REINTENTO_ESCUCHA_MS);
+    });
+    await client.query(`LISTEN ${CANAL}`);
+    logger.info('Escuchando eventos de saga');
+  } catch (error) {
+    logger.error('No se pudo escuchar eventos de saga', { error: error.message });
+    if (client) client.release(error);
+    clienteEscucha = null;
+    escuchando = false;
+    setTimeout(iniciarEscucha, REINTENTO_ESCUCHA_MS);
+  }
+}
+
+// Suscribir una respuesta SSE abierta. filtro: { sagaId } o { usuarioId } (vacío para
+// todos). Si ultimoId no es null, primero se repiten los eventos posteriores a él.
+async function suscribir(res, filtro, ultimoId = null) {
+  const repetir = ultimoId !== null;
+  const suscriptor = { res, filtro, enviados: new Map(), pendientes: repetir ? [] : null };
+  suscriptores.add(suscriptor);
+  res.on('close', () => suscriptores.delete(suscriptor));
+  
+  if (!repetir) return;
+  
+  try {
+    await repetirEventos(suscriptor, ultimoId);
+  } finally {
+    const pendientes = suscriptor.pendientes;
+    suscriptor.pendientes = null;
+    pendientes.forEach((fila) => enviar(suscriptor, fila));
+  }
+}
+
+// Los eventos posteriores a ultimoId y los creados hasta MARGEN_ORDEN_MS antes que él,
+// que pudieron confirmar después con un id menor
+async function repetirEventos(suscriptor, ultimoId) {
+  const cercanos = await consultarEventos(
+    suscriptor.filtro,
+    `id <= $1 AND created_at >= (SELECT created_at FROM saga_eventos WHERE id = $1) - $2 * INTERVAL '1 millisecond'`,
+    [ultimoId, MARGEN_ORDEN_MS]
+  );
+  cercanos.forEach((fila) => enviar(suscriptor, fila));
+  
+  let desde = ultimoId;
+  let repetidos;
+  do {
+    repetidos = await consultarEventos(suscriptor.filtro, 'id > $1', [desde], LOTE_REPETICION);
+    repetidos.forEach((fila) => enviar(suscriptor, fila));
+    if (repetidos.length > 0) desde = repetidos[repetidos.length - 1].id;
+  } while (repetidos.length === LOTE_REPETICION);
+}
+
+async function consultarEventos(filtro, condicion, parametros, limite = null) {
+  const condiciones = [condicion];
+  const valores = [...parametros];
+  if (filtro.sagaId) {
+    valores.push(filtro.sagaId);
+    condiciones.push(`saga_id = $${valores.length}`);
+  } else if (filtro.usuarioId != null) {
+    valores.push(filtro.usuarioId);
+    condiciones.push(`usuario_id = $${valores.length}`);
+  }
+  
+  const result = await pool.query(
+    `SELECT * FROM saga_eventos WHERE ${condiciones.join(' AND ')} ORDER BY id${limite ? ` LIMIT ${limite}` : ''}`,
+    valores
+  );
+  return result.rows;
+}
+
+// Apagado: cerrar los streams abiertos (los clientes se reconectan a otra instancia
+// con Last-Event-ID) y devolver al pool la conexión del LISTEN, que si no impediría
+// cerrarlo
+async function detenerEventos() {
+  detenido = true;
+  suscriptores.forEach((suscriptor) => suscriptor.res.end());
+  suscriptores.clear();
+  
+  if (clienteEscucha) {
+    const client = clienteEscucha;
+    clienteEscucha = null;
+    client.removeAllListeners('error');
+    await client.query(`UNLISTEN ${CANAL}`).catch(() => {});
+    client.release();
+  }
+}
+
+// Worker: borrar los eventos que ya no hace falta repetir
+async function limpiarEventos() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM saga_eventos WHERE created_at < NOW() - $1 * INTERVAL '1 hour'`,
+      [RETENCION_HORAS]
+    );
+    if (result.rowCount > 0) {
+      logger.info('Eventos de saga antiguos eliminados', { cantidad: result.rowCount });
+    }
+  } catch (error) {
+    logger.error('Error limpiando eventos de saga', error);
+  }
+}
+
+module.exports = { registrarEvento, iniciarEscucha, suscribir, detenerEventos, limpiarEventos };
@@ -0,0 +1,90 @@
+// services/pedidos/src/utils/idempotencia.js
+// Cabecera Idempotency-Key de POST /pedidos. La clave es por usuario: la primera
+// solicitud guarda su respuesta en la misma transacción que crea el pedido; una
+// repetición con el mismo cuerpo recibe esa respuesta, y una con otro cuerpo, un
+// conflicto. Las claves valen 24 horas.
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const logger = require('./logger');
+const { CodigoError, enviarError } = require('./errores');
+const { validar } = require('./validacion');
+
+const RETENCION_HORAS = 24;
+
+const ESQUEMA_CABECERA = {
+  'idempotency-key': { tipo: 'texto', minimo: 1, maximo: 255 }
+};
+
+// Middleware: valida la cabecera (opcional) y deja la clave en req.claveIdempotencia
+function leerClaveIdempotencia(req, res, next) {
+  const { valor, detalles } = validar(ESQUEMA_CABECERA, req.headers, { origen: 'cabeceras' });
+  if (detalles.length > 0) {
+    return enviarError(res, CodigoError.VALIDACION_FALLIDA, undefined, detalles);
+  }
+  req.claveIdempotencia = valor['idempotency-key'] || null;
+  next();
+}
+
+// JSON con las claves ordenadas: el mismo cuerpo con los campos en otro orden da la
+// misma huella
+function canonico(valor) {
+  if (Array.isArray(valor)) {
+    return `[${valor.map(canonico).join(',')}]`;
+  }
+  if (valor && typeof valor === 'object' && !(valor instanceof Date)) {
+    const campos = Object.keys(valor)
+      .filter((campo) => valor[campo] !== undefined)
+      .sort()
+      .map((campo) => `${JSON.stringify(campo)}:${canonico(valor[campo])}`);
+    return `{${campos.join(',')}}`;
+  }
+  return JSON.stringify(valor);
+}
+
+// Huella del cuerpo ya validado de la solicitud
+function huellaSolicitud(body) {
+  return crypto.createHash('sha256').update(canonico(body)).digest('hex');
+}
+
+// Clave vigente del usuario: { huella, respuesta } o null
+async function buscarClave(usuarioId, clave) {
+  const result = await pool.query(
+    `SELECT huella, respuesta FROM claves_idempotencia
+     WHERE usuario_id = $1 AND clave = $2 AND created_at > NOW() - $3 * INTERVAL '1 hour'`,
+    [usuarioId, clave, RETENCION_HORAS]
+  );
+  return result.rows[0] || null;
+}
+
+// Registrar la clave con la respuesta, dentro de la transacción que crea el pedido. Una
+// solicitud concurrente con la misma clave espera aquí a que la primera termine.
+// Retorna false si la clave ya estaba registrada y vigente; una vencida se reemplaza.
+async function registrarClave(client, usuarioId, clave, huella, respuesta) {
+  const result = await client.query(
+    `INSERT INTO claves_idempotencia (usuario_id, clave, huella, respuesta)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (usuario_id, clave) DO UPDATE
+       SET huella = EXCLUDED.huella, respuesta = EXCLUDED.respuesta, created_at = NOW()
+       WHERE claves_idempotencia.created_at <= NOW() - $5 * INTERVAL '1 hour'
+     RETURNING clave`,
+    [usuarioId, clave, huella, respuesta, RETENCION_HORAS]
+  );
+  return result.rows.length > 0;
+}
+
+// Worker: borrar las claves vencidas
+async function limpiarClaves() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM claves_idempotencia WHERE created_at < NOW() - $1 * INTERVAL '1 hour'`,
+      [RETENCION_HORAS]
+    );
+    if (result.rowCount > 0) {
+      logger.info('Claves de idempotencia vencidas eliminadas', { cantidad: result.rowCount });
+    }
+  } catch (error) {
+    logger.error('Error limpiando claves de idempotencia', error);
+  }
+}
+
+module.exports = { leerClaveIdempotencia, huellaSolicitud, buscarClave, registrarClave, limpiarClaves };
@@ -0,0 +1,50 @@
+// services/pedidos/src/utils/inbox.js
+// Inbox de mensajes procesados: permite descartar entregas duplicadas de RabbitMQ.
+// El registro se hace en la misma transacción que los efectos del handler, así un
+// fallo deja el mensaje sin registrar y la reentrega vuelve a procesarlo.
+const { pool } = require('../config/database');
+const logger = require('./logger');
+
+// Las reentregas (reintentos del consumidor, relay que publica de nuevo tras una caída)
+// llegan en minutos u horas: una semana deja margen de sobra
+const RETENCION_DIAS = 7;
+
+// Devuelve true si el mensaje es nuevo, false si ya había sido procesado
+async function registrarMensaje(client, mensaje) {
+  const { messageId, sagaId, evento } = mensaje;
+  
+  if (!messageId) {
+    logger.warn('Mensaje sin messageId, no se puede deduplicar', { sagaId, evento });
+    return true;
+  }
+  
+  // Si otra entrega del mismo mensaje está en curso, el INSERT espera a que termine
+  const result = await client.query(
+    'INSERT INTO mensajes_procesados (message_id, saga_id, evento) VALUES ($1, $2, $3) ON CONFLICT (message_id) DO NOTHING',
+    [messageId, sagaId, evento]
+  );
+  
+  if (result.rowCount === 0) {
+    logger.info('Mensaje duplicado ignorado', { messageId, sagaId, evento });
+    return false;
+  }
+  
+  return true;
+}
+
+// Worker: borrar los registros más antiguos que cualquier reentrega
+async function limpiarInbox() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM mensajes_procesados WHERE procesado_en < NOW() - $1 * INTERVAL '1 day'`,
+      [RETENCION_DIAS]
+    );
+    if (result.rowCount > 0) {
+      logger.info('Mensajes procesados antiguos eliminados', { cantidad: result.rowCount });
+    }
+  } catch (error) {
+    logger.error('Error limpiando el inbox', error);
+  }
+}
+
+module.exports = { registrarMensaje, limpiarInbox };
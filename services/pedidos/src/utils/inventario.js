@@ -0,0 +1,46 @@
+// services/pedidos/src/utils/inventario.js
+// Cliente del servicio de inventario para el detalle de un pedido y los productos que se
+// venden por fecha de salida
+const { crearCircuitBreaker } = require('./circuitBreaker');
+
+const INVENTARIO_URL = process.env.INVENTARIO_URL || 'http://inventario-service:3002';
+const INVENTARIO_TIMEOUT_MS = parseInt(process.env.INVENTARIO_TIMEOUT_MS) || 2000;
+
+const circuito = crearCircuitBreaker('inventario');
+
+// Reservas de la saga de reserva, una por línea. Se reenvía el token del usuario para
+// que inventario aplique su propia política de propietario.
+async function obtenerReservas(sagaId, authorization) {
+  return circuito.ejecutar(async () => {
+    const respuesta = await fetch(`${INVENTARIO_URL}/reservas/${sagaId}`, {
+      headers: { Authorization: authorization },
+      signal: AbortSignal.timeout(INVENTARIO_TIMEOUT_MS)
+    });
+    
+    if (!respuesta.ok) {
+      throw new Error(`Inventario respondió ${respuesta.status}`);
+    }
+    return respuesta.json();
+  });
+}
+
+// true si el producto se vende por fecha de salida (su reserva necesita fechaViaje),
+// null si no existe. Lanza error si inventario no responde o el circuito está abierto.
+async function tieneSalidas(productoId, authorization) {
+  return circuito.ejecutar(async () => {
+    const respuesta = await fetch(`${INVENTARIO_URL}/productos/${productoId}/disponibilidad`, {
+      headers: { Authorization: authorization },
+      signal: AbortSignal.timeout(INVENTARIO_TIMEOUT_MS)
+    });
+    
+    if (respuesta.status === 404) return null;
+    if (!respuesta.ok) {
+      throw new Error(`Inventario respondió ${respuesta.status}`);
+    }
+    
+    const disponibilidad = await respuesta.json();
+    return disponibilidad.conSalidas;
+  });
+}
+
+module.exports = { obtenerReservas, tieneSalidas };
@@ -0,0 +1,141 @@
+// services/pedidos/src/utils/jwt.js
+// Access tokens firmados con RS256 y claves rotables (header kid). Las claves públicas
+// se publican como JWKS para que los demás servicios verifiquen tokens sin compartir
+// un secreto. Las claves viven en la tabla jwt_claves, compartida por todas las
+// instancias de pedidos.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool, ejecutarEnTransaccion } = require('../config/database');
+const logger = require('./logger');
+
+const ACCESS_TOKEN_TTL_SEGUNDOS = parseInt(process.env.ACCESS_TOKEN_TTL_SEGUNDOS) || 15 * 60;
+// Evita recargar las claves en cada token con un kid desconocido
+const RECARGA_MINIMA_MS = 5000;
+
+let claves = new Map();
+let kidActivo = null;
+let ultimaRecarga = 0;
+
+function generarClave() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  
+  return {
+    kid,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }
+  };
+}
+
+async function insertarClaveActiva(client) {
+  const clave = generarClave();
+  
+  // El índice único parcial sobre activa impide dos claves activas a la vez
+  const result = await client.query(
+    `INSERT INTO jwt_claves (kid, private_key, public_jwk, activa)
+     VALUES ($1, $2, $3, true)
+     ON CONFLICT DO NOTHING`,
+    [clave.kid, clave.privateKey, clave.jwk]
+  );
+  return result.rowCount === 1 ? clave.kid : null;
+}
+
+// Claves vigentes: la activa y las retiradas hace menos que la vida de un access token
+// (los tokens que firmaron todavía deben validar)
+async function recargarClaves() {
+  const result = await pool.query(
+    `SELECT kid, private_key, public_jwk, activa
+     FROM jwt_claves
+     WHERE activa = true OR retirada_en > NOW() - $1 * INTERVAL '1 second'`,
+    [ACCESS_TOKEN_TTL_SEGUNDOS]
+  );
+  
+  const nuevas = new Map();
+  let nuevoActivo = null;
+  
+  for (const fila of result.rows) {
+    nuevas.set(fila.kid, {
+      privateKey: fila.private_key,
+      publicKey: crypto.createPublicKey({ key: fila.public_jwk, format: 'jwk' }),
+      jwk: fila.public_jwk
+    });
+    if (fila.activa) nuevoActivo = fila.kid;
+  }
+  
+  claves = nuevas;
+  kidActivo = nuevoActivo;
+  ultimaRecarga = Date.now();
+}
+
+// Cargar claves al arrancar, creando la primera si no existe ninguna activa
+async function inicializarClaves() {
+  await recargarClaves();
+  
+  if (!kidActivo) {
+    const kid = await insertarClaveActiva(pool);
+    if (kid) logger.info('Clave de firma JWT generada', { kid });
+    await recargarClaves();
+  }
+}
+
+// Retirar la clave activa y empezar a firmar con una nueva
+async function rotarClaves() {
+  const kid = await ejecutarEnTransaccion(async (client) => {
+    await client.query(
+      'UPDATE jwt_claves SET activa = false, retirada_en = NOW() WHERE activa = true'
+    );
+    return insertarClaveActiva(client);
+  });
+  
+  await recargarClaves();
+  logger.info('Clave de firma JWT rotada', { kid });
+  return kid;
+}
+
+function firmarAccessToken(payload) {
+  const clave = claves.get(kidActivo);
+  if (!clave) {
+    throw new Error('No hay clave de firma JWT activa');
+  }
+  
+  return jwt.sign(payload, clave.privateKey, {
+    algorithm: 'RS256',
+    keyid: kidActivo,
+    expiresIn: ACCESS_TOKEN_TTL_SEGUNDOS
+  });
+}
+
+// Resuelve con el payload del token o rechaza si es inválido o expiró
+async function verificarAccessToken(token) {
+  const decodificado = jwt.decode(token, { complete: true });
+  const kid = decodificado && decodificado.header.kid;
+  if (!kid) {
+    throw new Error('Token sin kid');
+  }
+  
+  // Un kid desconocido puede venir de una rotación hecha por otra instancia
+  if (!claves.has(kid) && Date.now() - ultimaRecarga > RECARGA_MINIMA_MS) {
+    await recargarClaves();
+  }
+  
+  const clave = claves.get(kid);
+  if (!clave) {
+    throw new Error(`Clave desconocida: ${kid}`);
+  }
+  
+  return jwt.verify(token, clave.publicKey, { algorithms: ['RS256'] });
+}
+
+function jwks() {
+  return { keys: [...claves.values()].map((clave) => clave.jwk) };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SEGUNDOS,
+  inicializarClaves,
+  recargarClaves,
+  rotarClaves,
+  firmarAccessToken,
+  verificarAccessToken,
+  jwks
+};
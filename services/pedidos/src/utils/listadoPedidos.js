@@ -0,0 +1,106 @@
+// services/pedidos/src/utils/listadoPedidos.js
+// Consulta de GET /pedidos: filtros, orden y paginación por cursor (keyset). El cursor
+// guarda el valor de orden y el id del último pedido de la página, así las páginas no
+// se corren cuando entran pedidos nuevos.
+const { SagaState } = require('../saga/definicion');
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Campos por los que se puede ordenar. El valor viaja como texto en el cursor y se
+// castea de vuelta al tipo de la columna.
+const ORDENES = {
+  created_at: { expresion: 'p.created_at', tipo: 'timestamp' },
+  monto_total: { expresion: 'COALESCE(p.monto_total, 0)', tipo: 'numeric' }
+};
+
+// Query params de GET /pedidos (usuarioId solo se aplica a los admin)
+const ESQUEMA_LISTADO = {
+  estado: { tipo: 'texto', valores: Object.values(SagaState) },
+  desde: { tipo: 'fecha' },
+  hasta: { tipo: 'fecha' },
+  productoId: { tipo: 'entero', minimo: 1 },
+  usuarioId: { tipo: 'entero', minimo: 1 },
+  orden: { tipo: 'texto', valores: Object.keys(ORDENES), porDefecto: 'created_at' },
+  direccion: { tipo: 'texto', valores: ['asc', 'desc'], porDefecto: 'desc' },
+  limite: { tipo: 'entero', minimo: 1, maximo: LIMITE_MAXIMO, porDefecto: LIMITE_POR_DEFECTO },
+  cursor: { tipo: 'texto' }
+};
+
+function codificarCursor(orden, direccion, fila) {
+  return Buffer.from(JSON.stringify({ orden, direccion, valor: fila.valor_orden, id: fila.id })).toString('base64url');
+}
+
+function decodificarCursor(cursor) {
+  try {
+    const datos = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return datos && typeof datos.valor === 'string' && UUID_REGEX.test(datos.id) ? datos : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Construir la consulta a partir de los query params ya validados con
+// ESQUEMA_LISTADO. Un cliente solo lista sus pedidos; un admin lista todos o los de
+// usuarioId. Retorna { error } si el cursor no es válido o
+// { sql, valores, limite, siguienteCursor(filas) }.
+function construirConsulta(query, user) {
+  const { orden, direccion, limite } = query;
+  
+  const condiciones = [];
+  const valores = [];
+  const agregar = (condicion, valor) => {
+    valores.push(valor);
+    condiciones.push(condicion.replace('?', `$${valores.length}`));
+  };
+  
+  if (user.role !== 'admin') {
+    agregar('p.usuario_id = ?', user.userId);
+  } else if (query.usuarioId !== undefined) {
+    agregar('p.usuario_id = ?', query.usuarioId);
+  }
+  
+  if (query.estado !== undefined) {
+    agregar('p.estado = ?', query.estado);
+  }
+  if (query.desde !== undefined) {
+    agregar('p.created_at >= ?', query.desde);
+  }
+  if (query.hasta !== undefined) {
+    agregar('p.created_at <= ?', query.hasta);
+  }
+  if (query.productoId !== undefined) {
+    agregar('EXISTS (SELECT 1 FROM pedido_lineas l WHERE l.pedido_id = p.id AND l.producto_id = ?)', query.productoId);
+  }
+  
+  const { expresion, tipo } = ORDENES[orden];
+  const comparador = direccion === 'desc' ? '<' : '>';
+  
+  if (query.cursor !== undefined) {
+    const cursor = decodificarCursor(query.cursor);
+    // Un cursor solo sirve para el mismo orden con el que se generó
+    if (!cursor || cursor.orden !== orden || cursor.direccion !== direccion) {
+      return { error: 'Cursor inválido' };
+    }
+    valores.push(cursor.valor, cursor.id);
+    condiciones.push(`(${expresion}, p.id) ${comparador} ($${valores.length - 1}::${tipo}, $${valores.length}::uuid)`);
+  }
+  
+  // Se pide una fila de más para saber si hay otra página
+  valores.push(limite + 1);
+  const sql = `SELECT p.*, (${expresion})::text AS valor_orden
+     FROM pedidos p
+     ${condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : ''}
+     ORDER BY ${expresion} ${direccion}, p.id ${direccion}
+     LIMIT $${valores.length}`;
+     
+  return {
+    sql,
+    valores,
+    limite,
+    siguienteCursor: (filas) => (filas.length > limite ? codificarCursor(orden, direccion, filas[limite - 1]) : null)
+  };
+}
+
+module.exports = { ESQUEMA_LISTADO, construirConsulta };
@@ -0,0 +1,134 @@
+// services/pedidos/src/utils/metricas.js
+// Métricas Prometheus del servicio, expuestas en GET /metrics: latencia y errores HTTP
+// por ruta, mensajes publicados y consumidos en RabbitMQ, conexiones del pool de
+// PostgreSQL y las métricas de proceso de Node. Al final, las propias del servicio.
+const client = require('prom-client');
+const { CodigoError, enviarError } = require('./errores');
+
+const registro = new client.Registry();
+registro.setDefaultLabels({ servicio: 'pedidos' });
+client.collectDefaultMetrics({ register: registro });
+
+const duracionHttp = new client.Histogram({
+  name: 'http_duracion_solicitudes_segundos',
+  help: 'Duración de las solicitudes HTTP',
+  labelNames: ['metodo', 'ruta', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registro]
+});
+
+const erroresHttp = new client.Counter({
+  name: 'http_errores_total',
+  help: 'Respuestas HTTP con status 4xx o 5xx',
+  labelNames: ['metodo', 'ruta', 'status'],
+  registers: [registro]
+});
+
+const mensajesPublicados = new client.Counter({
+  name: 'rabbitmq_mensajes_publicados_total',
+  help: 'Mensajes publicados en RabbitMQ por el relay del outbox',
+  labelNames: ['routing_key'],
+  registers: [registro]
+});
+
+// resultado: ok, reintento o dlq. Los mensajes que no se pueden leer o no tienen la
+// forma de un mensaje de saga van con evento ilegible o invalido.
+const mensajesConsumidos = new client.Counter({
+  name: 'rabbitmq_mensajes_consumidos_total',
+  help: 'Mensajes consumidos de RabbitMQ por resultado del handler',
+  labelNames: ['cola', 'evento', 'resultado'],
+  registers: [registro]
+});
+
+// Middleware: registra la duración de cada respuesta y, si es un error, el error. La
+// ruta es el patrón de Express (/pedidos/:id) para no crear una serie por id; las
+// rutas inexistentes van juntas. Los streams SSE (res.locals.stream) no se miden: su
+// duración es la de la conexión.
+function medirHttp(req, res, next) {
+  const terminar = duracionHttp.startTimer();
+  
+  res.on('finish', () => {
+    if (res.locals.stream) return;
+    
+    const etiquetas = {
+      metodo: req.method,
+      ruta: req.route ? `${req.baseUrl}${req.route.path}` : 'no_encontrada',
+      status: res.statusCode
+    };
+    terminar(etiquetas);
+    if (res.statusCode >= 400) erroresHttp.inc(etiquetas);
+  });
+  next();
+}
+
+// Conexiones del pool de PostgreSQL, leídas en cada scrape. en_espera son las
+// consultas esperando una conexión libre.
+function medirPool(pool) {
+  new client.Gauge({
+    name: 'pg_pool_conexiones',
+    help: 'Conexiones del pool de PostgreSQL por estado (total, inactivas, en_espera)',
+    labelNames: ['estado'],
+    registers: [registro],
+    collect() {
+      this.set({ estado: 'total' }, pool.totalCount);
+      this.set({ estado: 'inactivas' }, pool.idleCount);
+      this.set({ estado: 'en_espera' }, pool.waitingCount);
+    }
+  });
+}
+
+// GET /metrics en el formato de texto de Prometheus
+async function exponerMetricas(req, res) {
+  try {
+    res.set('Content-Type', registro.contentType);
+    res.end(await registro.metrics());
+  } catch (error) {
+    enviarError(res, CodigoError.ERROR_INTERNO);
+  }
+}
+
+// Sagas. Se cuentan después del COMMIT (client.alConfirmar), así una respuesta que se
+// reprocesa tras un ROLLBACK no cuenta dos veces.
+const sagasIniciadas = new client.Counter({
+  name: 'sagas_iniciadas_total',
+  help: 'Sagas iniciadas por tipo',
+  labelNames: ['tipo'],
+  registers: [registro]
+});
+
+const sagasCompletadas = new client.Counter({
+  name: 'sagas_completadas_total',
+  help: 'Sagas que completaron todos sus pasos, por tipo',
+  labelNames: ['tipo'],
+  registers: [registro]
+});
+
+// razon: INVENTARIO_NO_DISPONIBLE, PAGO_RECHAZADO, ERROR_INTERNO, TIMEOUT_<comando>...
+const sagasCompensadas = new client.Counter({
+  name: 'sagas_compensadas_total',
+  help: 'Sagas que fallaron e iniciaron la compensación (o, las de cancelación, se detuvieron), por razón',
+  labelNames: ['tipo', 'razon'],
+  registers: [registro]
+});
+
+// Desde que se envía el comando hasta su respuesta, con los reintentos y la espera
+// de un pago pendiente. resultado: OK, FALLIDO o TIMEOUT.
+const duracionPasoSaga = new client.Histogram({
+  name: 'saga_paso_duracion_segundos',
+  help: 'Duración de los pasos y compensaciones de las sagas',
+  labelNames: ['tipo', 'paso', 'resultado'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 1800],
+  registers: [registro]
+});
+
+module.exports = {
+  medirHttp,
+  medirPool,
+  exponerMetricas,
+  mensajesPublicados,
+  mensajesConsumidos,
+  sagasIniciadas,
+  sagasCompletadas,
+  sagasCompensadas,
+  duracionPasoSaga
+};
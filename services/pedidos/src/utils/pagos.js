@@ -0,0 +1,26 @@
+// services/pedidos/src/utils/pagos.js
+// Cliente del servicio de pagos para el detalle de un pedido
+const { crearCircuitBreaker } = require('./circuitBreaker');
+
+const PAGOS_URL = process.env.PAGOS_URL || 'http://pagos-service:3003';
+const PAGOS_TIMEOUT_MS = parseInt(process.env.PAGOS_TIMEOUT_MS) || 2000;
+
+const circuito = crearCircuitBreaker('pagos');
+
+// Transacciones de la saga de reserva (con lo reembolsado). Se reenvía el token del
+// usuario para que pagos aplique su propia política de propietario.
+async function obtenerTransacciones(sagaId, authorization) {
+  return circuito.ejecutar(async () => {
+    const respuesta = await fetch(`${PAGOS_URL}/transacciones/${sagaId}`, {
+      headers: { Authorization: authorization },
+      signal: AbortSignal.timeout(PAGOS_TIMEOUT_MS)
+    });
+    
+    if (!respuesta.ok) {
+      throw new Error(`Pagos respondió ${respuesta.status}`);
+    }
+    return respuesta.json();
+  });
+}
+
+module.exports = { obtenerTransacciones };
@@ -0,0 +1,48 @@
+// services/pedidos/src/utils/politicasCancelacion.js
+// Políticas de cancelación de un pedido completado: porcentaje del monto que se
+// reembolsa según las horas que faltan para el viaje. Se configuran en
+// POLITICAS_CANCELACION como JSON, p. ej.
+// [{"horasAntes": 48, "porcentaje": 100}, {"horasAntes": 0, "porcentaje": 50}]
+const logger = require('./logger');
+
+const POLITICAS_POR_DEFECTO = [
+  { horasAntes: 48, porcentaje: 100 },
+  { horasAntes: 0, porcentaje: 50 }
+];
+
+function esPoliticaValida(politica) {
+  return politica
+    && typeof politica.horasAntes === 'number'
+    && typeof politica.porcentaje === 'number'
+    && politica.porcentaje >= 0
+    && politica.porcentaje <= 100;
+}
+
+function cargarPoliticas() {
+  if (!process.env.POLITICAS_CANCELACION) return POLITICAS_POR_DEFECTO;
+  
+  try {
+    const politicas = JSON.parse(process.env.POLITICAS_CANCELACION);
+    if (!Array.isArray(politicas) || politicas.length === 0 || !politicas.every(esPoliticaValida)) {
+      throw new Error('Se espera una lista de { horasAntes, porcentaje }');
+    }
+    // De mayor a menor anticipación
+    return [...politicas].sort((a, b) => b.horasAntes - a.horasAntes);
+  } catch (error) {
+    logger.error('POLITICAS_CANCELACION inválida, se usan las políticas por defecto', { error: error.message });
+    return POLITICAS_POR_DEFECTO;
+  }
+}
+
+const POLITICAS = cargarPoliticas();
+
+// Política que aplica al pedido: la de mayor anticipación que se cumple. Retorna null
+// si ya pasó el último plazo. Los pedidos sin fecha de viaje usan la primera política.
+function politicaAplicable(fechaViaje, ahora = new Date()) {
+  if (!fechaViaje) return POLITICAS[0];
+  
+  const horasRestantes = (new Date(fechaViaje).getTime() - ahora.getTime()) / (60 * 60 * 1000);
+  return POLITICAS.find((politica) => horasRestantes >= politica.horasAntes) || null;
+}
+
+module.exports = { POLITICAS, politicaAplicable };
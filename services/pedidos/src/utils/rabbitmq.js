@@ -0,0 +1,99 @@
+// services/pedidos/src/utils/rabbitmq.js
+// Conexión a RabbitMQ con reconexión automática. En cada conexión se abre un canal con
+// confirmaciones del broker (publisher confirms), se declara la topología y se vuelven
+// a registrar los consumidores. Si se pierde la conexión o el canal, se reintenta con
+// backoff exponencial; mientras tanto canalActual() es null y la readiness falla.
+// La primera conexión también se reintenta: el servicio arranca aunque el broker no
+// esté disponible todavía.
+const amqp = require('amqplib');
+const logger = require('./logger');
+const { configurarTopologia } = require('../config/messaging');
+
+const RECONEXION_BASE_MS = parseInt(process.env.RABBITMQ_RECONEXION_BASE_MS) || 1000;
+const RECONEXION_MAX_MS = parseInt(process.env.RABBITMQ_RECONEXION_MAX_MS) || 30000;
+
+let conexion = null;
+let canal = null;
+let reconexion = null;
+let intentos = 0;
+let cerrando = false;
+
+// Canal abierto y con los consumidores registrados, o null
+function canalActual() {
+  return canal;
+}
+
+function programarReconexion(alConectar) {
+  canal = null;
+  if (cerrando || reconexion) return;
+  
+  const esperaMs = Math.min(RECONEXION_BASE_MS * 2 ** intentos, RECONEXION_MAX_MS);
+  intentos++;
+  logger.warn('Reconectando a RabbitMQ', { intento: intentos, esperaMs });
+  reconexion = setTimeout(() => {
+    reconexion = null;
+    conectarRabbitMQ(alConectar);
+  }, esperaMs);
+}
+
+// Conectar y llamar a alConectar(channel) para registrar los consumidores; se repite
+// en cada reconexión. No lanza: si falla, programa el siguiente intento.
+async function conectarRabbitMQ(alConectar) {
+  if (cerrando) return;
+  
+  let nueva;
+  try {
+    nueva = await amqp.connect(process.env.RABBITMQ_URL);
+    nueva.on('error', (error) => logger.error('Error en la conexión a RabbitMQ', { error: error.message }));
+    nueva.on('close', () => {
+      if (conexion === nueva) conexion = null;
+      if (!cerrando) logger.error('Conexión a RabbitMQ cerrada');
+      programarReconexion(alConectar);
+    });
+    conexion = nueva;
+    
+    const channel = await nueva.createConfirmChannel();
+    channel.on('error', (error) => logger.error('Error en el canal de RabbitMQ', { error: error.message }));
+    // Un canal cerrado por el broker (p. ej. un error de protocolo) no se reabre solo:
+    // se cierra la conexión y se reconecta todo
+    channel.on('close', () => {
+      if (canal === channel) canal = null;
+      if (!cerrando) nueva.close().catch(() => {});
+    });
+    
+    await configurarTopologia(channel);
+    await alConectar(channel);
+    
+    canal = channel;
+    intentos = 0;
+    logger.info('RabbitMQ conectado');
+  } catch (error) {
+    logger.error('No se pudo conectar a RabbitMQ', { error: error.message });
+    if (nueva) nueva.close().catch(() => {});
+    programarReconexion(alConectar);
+  }
+}
+
+// Publicar y esperar la confirmación del broker: rechaza si el broker no acepta el
+// mensaje (nack) o el canal se cierra antes de confirmarlo
+function publicarConfirmado(channel, exchange, routingKey, contenido, opciones) {
+  return new Promise((resolve, reject) => {
+    channel.publish(exchange, routingKey, contenido, opciones, (error) => {
+      if (error) reject(error instanceof Error ? error : new Error('Mensaje rechazado por el broker'));
+      else resolve();
+    });
+  });
+}
+
+// Apagado: cerrar la conexión sin reconectar
+async function cerrarRabbitMQ() {
+  cerrando = true;
+  clearTimeout(reconexion);
+  canal = null;
+  if (conexion) {
+    await conexion.close().catch(() => {});
+    conexion = null;
+  }
+}
+
+module.exports = { conectarRabbitMQ, canalActual, publicarConfirmado, cerrarRabbitMQ };
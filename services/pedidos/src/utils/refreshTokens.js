@@ -0,0 +1,107 @@
+// services/pedidos/src/utils/refreshTokens.js
+// Refresh tokens opacos guardados (como hash) en la base de datos. Cada uso rota el
+// token; reutilizar uno ya rotado revoca toda su familia, porque indica que fue robado.
+const crypto = require('crypto');
+const { ejecutarEnTransaccion } = require('../config/database');
+const logger = require('./logger');
+
+const REFRESH_TOKEN_TTL_DIAS = parseInt(process.env.REFRESH_TOKEN_TTL_DIAS) || 7;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function emitirRefreshToken(client, usuarioId, familia = crypto.randomUUID()) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  const result = await client.query(
+    `INSERT INTO refresh_tokens (usuario_id, token_hash, familia, expira_en)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 day')
+     RETURNING id`,
+    [usuarioId, hashToken(token), familia, REFRESH_TOKEN_TTL_DIAS]
+  );
+  
+  return { token, id: result.rows[0].id };
+}
+
+async function revocarFamilia(client, familia) {
+  await client.query(
+    'UPDATE refresh_tokens SET revocado_en = NOW() WHERE familia = $1 AND revocado_en IS NULL',
+    [familia]
+  );
+}
+
+// Cambiar un refresh token válido por uno nuevo de la misma familia.
+// Devuelve { usuario, refreshToken } o null si el token no es válido.
+async function rotarRefreshToken(token) {
+  return ejecutarEnTransaccion(async (client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.familia, rt.expira_en < NOW() AS expirado, rt.revocado_en,
+              u.id AS usuario_id, u.email, u.role, u.activo
+       FROM refresh_tokens rt JOIN usuarios u ON u.id = rt.usuario_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(token)]
+    );
+    const actual = result.rows[0];
+    
+    if (!actual) return null;
+    
+    if (actual.revocado_en) {
+      logger.warn('Reutilización de refresh token revocado, se revoca la familia', {
+        userId: actual.usuario_id,
+        familia: actual.familia
+      });
+      await revocarFamilia(client, actual.familia);
+      return null;
+    }
+    
+    if (actual.expirado || !actual.activo) return null;
+    
+    const nuevo = await emitirRefreshToken(client, actual.usuario_id, actual.familia);
+    await client.query(
+      'UPDATE refresh_tokens SET revocado_en = NOW(), reemplazado_por = $1 WHERE id = $2',
+      [nuevo.id, actual.id]
+    );
+    
+    return {
+      usuario: { id: actual.usuario_id, email: actual.email, role: actual.role },
+      refreshToken: nuevo.token
+    };
+  });
+}
+
+// Logout: revoca la familia del token (o todas las sesiones del usuario).
+// Devuelve false si el token no existe.
+async function revocarRefreshToken(token, { todas = false } = {}) {
+  return ejecutarEnTransaccion(async (client) => {
+    const result = await client.query(
+      'SELECT usuario_id, familia FROM refresh_tokens WHERE token_hash = $1',
+      [hashToken(token)]
+    );
+    if (result.rows.length === 0) return false;
+    
+    const { usuario_id: usuarioId, familia } = result.rows[0];
+    if (todas) {
+      await revocarTokensUsuario(client, usuarioId);
+    } else {
+      await revocarFamilia(client, familia);
+    }
+    return true;
+  });
+}
+
+// Cerrar todas las sesiones de un usuario (cambio de contraseña, cuenta deshabilitada)
+async function revocarTokensUsuario(client, usuarioId) {
+  await client.query(
+    'UPDATE refresh_tokens SET revocado_en = NOW() WHERE usuario_id = $1 AND revocado_en IS NULL',
+    [usuarioId]
+  );
+}
+
+module.exports = {
+  emitirRefreshToken,
+  rotarRefreshToken,
+  revocarRefreshToken,
+  revocarTokensUsuario
+};
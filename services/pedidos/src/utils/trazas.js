@@ -0,0 +1,119 @@
+// services/pedidos/src/utils/trazas.js
+// Contexto de traza y id de solicitud. El id de solicitud (cabecera X-Request-Id) viaja
+// como entrada request.id del baggage W3C junto con el traceparent: lo reciben los
+// servicios llamados por HTTP y, a través del outbox, los participantes de la saga.
+// Cada línea de log lleva traceId, spanId y requestId del contexto activo.
+const crypto = require('crypto');
+const winston = require('winston');
+const { context, propagation, trace, SpanKind, SpanStatusCode, ROOT_CONTEXT } = require('@opentelemetry/api');
+
+const tracer = trace.getTracer('tuso');
+
+const ENTRADA_ID_SOLICITUD = 'request.id';
+const ID_SOLICITUD_REGEX = /^[\w.:-]{1,128}$/;
+
+// Cabeceras W3C (traceparent, tracestate, baggage) del contexto activo o del indicado
+function inyectarContexto(contexto = context.active()) {
+  const cabeceras = {};
+  propagation.inject(contexto, cabeceras);
+  return cabeceras;
+}
+
+function extraerContexto(cabeceras) {
+  return propagation.extract(ROOT_CONTEXT, cabeceras || {});
+}
+
+function idSolicitudActual(contexto = context.active()) {
+  const entrada = propagation.getBaggage(contexto)?.getEntry(ENTRADA_ID_SOLICITUD);
+  return entrada ? entrada.value : undefined;
+}
+
+// Middleware: toma el id del baggage (llamada de otro servicio), de X-Request-Id o
+// genera uno, lo devuelve en X-Request-Id y deja el resto de la solicitud en su contexto
+function asignarIdSolicitud(req, res, next) {
+  const cabecera = req.headers['x-request-id'];
+  const id = idSolicitudActual()
+    || (ID_SOLICITUD_REGEX.test(cabecera || '') ? cabecera : crypto.randomUUID());
+    
+  const baggage = propagation.getBaggage(context.active()) || propagation.createBaggage();
+  const contexto = propagation.setBaggage(
+    context.active(),
+    baggage.setEntry(ENTRADA_ID_SOLICITUD, { value: id })
+  );
+  trace.getSpan(contexto)?.setAttribute('http.request_id', id);
+  res.set('X-Request-Id', id);
+  context.with(contexto, next);
+}
+
+// Formato de winston: agrega los ids del contexto activo a la línea de log
+const formatoTrazas = winston.format((info) => {
+  const span = trace.getSpan(context.active());
+  if (span) {
+    const { traceId, spanId } = span.spanContext();
+    info.traceId = traceId;
+    info.spanId = spanId;
+  }
+  const requestId = idSolicitudActual();
+  if (requestId) info.requestId = requestId;
+  return info;
+});
+
+function marcarError(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+async function enSpan(nombre, opciones, padre, fn) {
+  const span = tracer.startSpan(nombre, opciones, padre);
+  try {
+    return await context.with(trace.setSpan(padre, span), fn, undefined, span);
+  } catch (error) {
+    marcarError(span, error);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+// Span PRODUCER de la publicación de un mensaje del outbox, hijo del contexto guardado
+// con el mensaje. publicar recibe las cabeceras con el contexto del span.
+function publicarConTraza(contextoGuardado, routingKey, publicar) {
+  return enSpan(
+    `${routingKey} publish`,
+    {
+      kind: SpanKind.PRODUCER,
+      attributes: { 'messaging.system': 'rabbitmq', 'messaging.destination.name': routingKey }
+    },
+    extraerContexto(contextoGuardado),
+    () => publicar(inyectarContexto())
+  );
+}
+
+// Span CONSUMER del procesamiento de un mensaje, hijo del span que lo publicó (los
+// reintentos y los reprocesos desde la DLQ conservan sus cabeceras). procesar recibe el
+// span.
+function consumirConTraza(cola, msg, procesar) {
+  return enSpan(
+    `${cola} process`,
+    {
+      kind: SpanKind.CONSUMER,
+      attributes: {
+        'messaging.system': 'rabbitmq',
+        'messaging.destination.name': cola,
+        'messaging.rabbitmq.destination.routing_key': msg.fields.routingKey,
+        'messaging.message.id': msg.properties.messageId
+      }
+    },
+    extraerContexto(msg.properties.headers),
+    procesar
+  );
+}
+
+module.exports = {
+  inyectarContexto,
+  asignarIdSolicitud,
+  formatoTrazas,
+  marcarError,
+  publicarConTraza,
+  consumirConTraza
+};